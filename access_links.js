@@ -0,0 +1,94 @@
+// access_links.js
+// Fresh invite links for subscribers who lost theirs. Invite links are single
+// use and handed out once, so anyone who left the group by accident, never
+// used the link or lost their bot session asks for a new one here: with
+// /myaccess in the bot, or on the /join page after logging in with Telegram.
+// Either way the subscriber is identified by their Telegram user id, never by
+// a handle anyone could type in.
+
+import crypto from 'crypto';
+import { bot } from './telegram_bot.js';
+import { getUserPlan } from './plan_catalog.js';
+
+// Still in the group: a new link would only be something to pass on
+const MEMBER_STATUSES = ['creator', 'administrator', 'member', 'restricted'];
+
+/**
+ * Checks the data the Telegram Login Widget hands to the page, as described in
+ * https://core.telegram.org/widgets/login#checking-authorization: the hash is
+ * an HMAC of the other fields keyed with the SHA-256 of the bot token.
+ *
+ * @param {object} authData - id, first_name, username, auth_date, hash, ... as sent by the widget.
+ * @param {string} botToken
+ * @param {number} maxAgeSeconds - How old auth_date may be.
+ * @returns {string|null} The verified Telegram user id, or null.
+ */
+export function verifyTelegramLogin(authData, botToken, maxAgeSeconds) {
+    if (!authData || typeof authData.hash !== 'string' || !authData.id || !authData.auth_date || !botToken) return null;
+
+    const dataCheckString = Object.keys(authData)
+        .filter(key => key !== 'hash' && authData[key] !== undefined && authData[key] !== null)
+        .sort()
+        .map(key => `${key}=${authData[key]}`)
+        .join('\n');
+    const secret = crypto.createHash('sha256').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+
+    // Anything but a SHA-256 hex digest is rejected before timingSafeEqual,
+    // which throws when the two buffers differ in length.
+    if (!/^[0-9a-f]{64}$/.test(authData.hash)
+        || !crypto.timingSafeEqual(Buffer.from(authData.hash, 'hex'), Buffer.from(expected, 'hex'))) {
+        return null;
+    }
+    if (Date.now() / 1000 - Number(authData.auth_date) > maxAgeSeconds) return null;
+    return String(authData.id);
+}
+
+/**
+ * Creates a new single-use invite link, valid for a short time, for the group
+ * of every active subscription of a Telegram user. Subscribers still in a
+ * group get no link for it.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {string|number} telegramUserId
+ * @param {number} ttlMinutes - How long the links stay valid.
+ * @returns {Promise<{status: 'issued'|'no_subscription', access?: Array<{planName: string,
+ *          subscriptionExpiration: string, inviteLink: string|null, inviteExpiresAt: Date|null, alreadyMember: boolean}>}>}
+ */
+export async function issueAccessInvites(pool, telegramUserId, ttlMinutes) {
+    const { rows: subscriptions } = await pool.query(
+        `SELECT id, plan_id, plan_name, telegram_handle, to_char(subscription_expiration, 'YYYY-MM-DD') AS subscription_expiration
+         FROM users
+         WHERE telegram_user_id = $1 AND subscription_status = 'active' AND subscription_expiration > NOW()
+         ORDER BY subscription_expiration`,
+        [telegramUserId]
+    );
+    if (subscriptions.length === 0) return { status: 'no_subscription' };
+
+    const access = [];
+    for (const subscription of subscriptions) {
+        const plan = await getUserPlan(pool, subscription);
+        if (!plan || !plan.telegram_group_id) {
+            throw new Error(`Telegram group ID not found for the ${subscription.plan_name} plan.`);
+        }
+
+        const member = await bot.getChatMember(plan.telegram_group_id, telegramUserId)
+            .catch(() => null);
+        if (member && MEMBER_STATUSES.includes(member.status)) {
+            access.push({ planName: subscription.plan_name, subscriptionExpiration: subscription.subscription_expiration, inviteLink: null, inviteExpiresAt: null, alreadyMember: true });
+            continue;
+        }
+
+        const expireDate = Math.floor(Date.now() / 1000) + Math.round(ttlMinutes * 60);
+        const invite = await bot.createChatInviteLink(plan.telegram_group_id, { member_limit: 1, expire_date: expireDate });
+        console.log(`Access: new invite for ${subscription.telegram_handle} (${subscription.plan_name}).`);
+        access.push({
+            planName: subscription.plan_name,
+            subscriptionExpiration: subscription.subscription_expiration,
+            inviteLink: invite.invite_link,
+            inviteExpiresAt: new Date(expireDate * 1000),
+            alreadyMember: false
+        });
+    }
+    return { status: 'issued', access };
+}
@@ -0,0 +1,77 @@
+// admin_permissions.js
+// Who may do what in the admin API. Every admin route runs requireAdmin (the
+// session, see server.js) and then requirePermission() for its area; super
+// admins implicitly hold every permission.
+//
+// manage_roles lets an admin edit other admins, but never hand out more than
+// they hold themselves: see getPermissionChangeError().
+
+// Permission strings stored in adminusers.permissions, one per admin area.
+export const ADMIN_PERMISSIONS = [
+    'manage_blogs',
+    'manage_performance',
+    'manage_pricing',
+    'manage_roles',
+    'manage_payouts',
+    'manage_affiliates',
+    'manage_notifications',
+    'manage_vouchers',
+    'manage_coupons',
+    'view_users',
+    'view_audit_log',
+    'view_payments',
+    'refund_payments'
+];
+
+// Values of adminusers.role
+export const ADMIN_ROLES = ['user', 'admin', 'superadmin'];
+
+export const isSuperAdmin = (admin) => admin.role === 'superadmin';
+
+export const hasPermission = (admin, permission) => isSuperAdmin(admin) || (admin.permissions || []).includes(permission);
+
+// Effective permissions for an admin (a super admin gets the full list).
+export const effectivePermissions = (admin) => isSuperAdmin(admin) ? [...ADMIN_PERMISSIONS] : (admin.permissions || []).filter(p => ADMIN_PERMISSIONS.includes(p));
+
+/**
+ * Middleware factory: must run after requireAdmin. Responds 403 when the
+ * logged-in admin lacks the given permission.
+ * @param {string} permission - One of ADMIN_PERMISSIONS.
+ */
+export function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.admin) {
+            return res.status(401).json({ message: 'Authentication required.' });
+        }
+        if (!hasPermission(req.admin, permission)) {
+            return res.status(403).json({ message: 'You do not have permission to perform this action.', required_permission: permission });
+        }
+        next();
+    };
+}
+
+/**
+ * Checks that an admin may give another admin account a set of permissions.
+ * Anyone but a super admin can only grant, and only take away, permissions
+ * they hold themselves; otherwise manage_roles alone would be enough to create
+ * an account with every permission and log in as it.
+ *
+ * @param {object} actor - The admin making the change (req.admin).
+ * @param {string[]} requested - The account's permissions after the change.
+ * @param {string[]} [current=[]] - Its permissions before; empty for a new account.
+ * @returns {string|null} An error message (answered with 403), or null.
+ */
+export function getPermissionChangeError(actor, requested, current = []) {
+    if (isSuperAdmin(actor)) return null;
+    const held = effectivePermissions(actor);
+
+    const granted = requested.filter(p => !current.includes(p) && !held.includes(p));
+    if (granted.length > 0) {
+        return `You can only grant permissions you hold yourself (not ${granted.join(', ')}).`;
+    }
+    const removed = current.filter(p => !requested.includes(p) && !held.includes(p));
+    if (removed.length > 0) {
+        return `You can only take away permissions you hold yourself (not ${removed.join(', ')}).`;
+    }
+    return null;
+}
@@ -0,0 +1,215 @@
+// checkout_recovery.js
+// Follows up on checkouts that were started but never paid. Users left pending
+// get a reminder from the bot at each step of the schedule (by default 1h, 24h
+// and 72h after their last payment attempt), optionally with a coupon that is
+// only valid for a short time and for one payment of the checkout's plan.
+// Reminders stop as soon as the person pays for any plan. Payments made after
+// a reminder count as recovered revenue on the admin dashboard.
+//
+// Configured with environment variables:
+//   RECOVERY_REMINDER_HOURS  Hours after the checkout for each reminder (default '1,24,72', 'off' disables)
+//   RECOVERY_COUPON_PERCENT  Discount of the recovery coupon (default 0: no coupon, at most 99)
+//   RECOVERY_COUPON_STEP     First reminder (1-based) that carries the coupon (default: the last one)
+//   RECOVERY_COUPON_HOURS    How long the coupon stays valid (default 48)
+//   RECOVERY_ATTRIBUTION_DAYS  How long after the last reminder a payment still counts as recovered (default 7)
+
+import crypto from 'crypto';
+import { bot } from './telegram_bot.js';
+
+// Ledger statuses where the money is already on its way; a reminder would only confuse
+const IN_FLIGHT_PAYMENT_STATUSES = ['confirming', 'confirmed', 'sending', 'partially_paid', 'finished', 'completed', 'successful'];
+
+// Reminders are not started for checkouts this long after the last step
+const LATE_START_GRACE_HOURS = 24;
+
+const escapeMarkdown = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+
+/**
+ * Reads the campaign settings from the environment.
+ * @param {object} [env=process.env]
+ * @returns {{reminderHours: number[], couponPercent: number, couponStep: number, couponValidHours: number, attributionDays: number}}
+ *          reminderHours is empty when recovery is switched off.
+ */
+export function getRecoveryConfig(env = process.env) {
+    const rawHours = env.RECOVERY_REMINDER_HOURS ?? '1,24,72';
+    const reminderHours = rawHours.trim().toLowerCase() === 'off'
+        ? []
+        : rawHours.split(',').map(hours => parseFloat(hours)).filter(hours => hours > 0).sort((a, b) => a - b);
+
+    return {
+        reminderHours,
+        couponPercent: Math.min(99, Math.max(0, parseFloat(env.RECOVERY_COUPON_PERCENT) || 0)),
+        couponStep: parseInt(env.RECOVERY_COUPON_STEP, 10) || reminderHours.length,
+        couponValidHours: parseFloat(env.RECOVERY_COUPON_HOURS) || 48,
+        attributionDays: parseInt(env.RECOVERY_ATTRIBUTION_DAYS, 10) || 7
+    };
+}
+
+// The checkout's earlier recovery coupon while it is still valid, otherwise a
+// new one. A recovery coupon is good for one payment of the checkout's plan, so
+// a forwarded code cannot be used by everyone or for a pricier plan. Without a
+// version of the plan on sale there is nothing it could be used for.
+async function getRecoveryCoupon(pool, checkout, config) {
+    if (!checkout.current_plan_id) return null;
+    const orderId = checkout.order_id;
+    const existing = await pool.query(
+        `SELECT c.code, c.discount_percentage, c.expires_at
+         FROM checkout_recovery_messages r
+         JOIN coupons c ON c.code = r.coupon_code
+         WHERE r.order_id = $1 AND c.is_active AND c.expires_at > NOW()
+         ORDER BY c.expires_at DESC
+         LIMIT 1`,
+        [orderId]
+    );
+    if (existing.rows.length > 0) return existing.rows[0];
+
+    const { rows } = await pool.query(
+        `INSERT INTO coupons (code, discount_percentage, is_active, expires_at, max_redemptions, allowed_plan_ids)
+         VALUES ($1, $2, true, NOW() + make_interval(secs => $3 * 3600), 1, $4)
+         RETURNING code, discount_percentage, expires_at`,
+        [`BACK${crypto.randomBytes(3).toString('hex').toUpperCase()}`, config.couponPercent, config.couponValidHours, [checkout.current_plan_id]]
+    );
+    return rows[0];
+}
+
+function buildReminder(checkout, step, coupon) {
+    const planName = escapeMarkdown(checkout.plan_name);
+    let message = step === 1
+        ? `👋 Your *${planName}* checkout is still waiting for payment.`
+        : `⏳ Still thinking about *${planName}*? Your VIP spot is waiting.`;
+    message += `\n\nPick up where you left off: choose the plan again and pay with crypto or card.`;
+    if (coupon) {
+        const validUntil = new Date(coupon.expires_at).toISOString().slice(0, 16).replace('T', ' ');
+        message += `\n\n🎁 Enter code \`${coupon.code}\` for *${parseFloat(coupon.discount_percentage)}% off*. Valid until ${validUntil} UTC.`;
+    }
+    message += `\n☎️ Support: @Nexxtrade\\_Support`;
+
+    return {
+        message,
+        options: {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '💳 Complete my payment', callback_data: checkout.current_plan_id ? `select_plan_${checkout.current_plan_id}` : 'pricing' }]
+                ]
+            }
+        }
+    };
+}
+
+/**
+ * Scheduled job: sends the reminder that is due to every pending checkout with
+ * a Telegram chat. When the job was down for a while only the latest due
+ * reminder goes out, never a burst of them. One failed message does not stop
+ * the others.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} [config=getRecoveryConfig()]
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function runCheckoutRecovery(pool, config = getRecoveryConfig()) {
+    const summary = { sent: 0, failed: 0 };
+    const { reminderHours } = config;
+    if (reminderHours.length === 0) return summary;
+
+    const { rows } = await pool.query(
+        `SELECT u.id, u.order_id, u.plan_name, u.telegram_chat_id, cp.id AS current_plan_id,
+                EXTRACT(EPOCH FROM (NOW() - u.last_payment_attempt)) / 3600 AS hours_since,
+                (SELECT MAX(r.step) FROM checkout_recovery_messages r WHERE r.order_id = u.order_id) AS last_step
+         FROM users u
+         LEFT JOIN payments p ON p.order_id = u.order_id
+         LEFT JOIN pricingplans cp ON cp.plan_name = u.plan_name AND NOT cp.is_archived
+         WHERE u.subscription_status = 'pending'
+           AND u.telegram_chat_id IS NOT NULL
+           AND u.order_id IS NOT NULL
+           AND u.last_payment_attempt <= NOW() - make_interval(secs => $1 * 3600)
+           AND u.last_payment_attempt > NOW() - make_interval(secs => $2 * 3600)
+           AND (p.payment_status IS NULL OR p.payment_status <> ALL($3))
+           AND NOT EXISTS (
+               SELECT 1
+               FROM payment_activations a
+               JOIN users o ON o.id = a.user_id
+               WHERE o.telegram_chat_id = u.telegram_chat_id
+                 AND a.revoked_at IS NULL
+                 AND a.created_at > u.last_payment_attempt
+           )`,
+        [reminderHours[0], reminderHours[reminderHours.length - 1] + LATE_START_GRACE_HOURS, IN_FLIGHT_PAYMENT_STATUSES]
+    );
+
+    for (const checkout of rows) {
+        const step = reminderHours.filter(hours => parseFloat(checkout.hours_since) >= hours).length;
+        if (step === 0 || (checkout.last_step || 0) >= step) continue;
+
+        // Claim the reminder first so a concurrent run cannot send it too
+        const claimed = await pool.query(
+            `INSERT INTO checkout_recovery_messages (user_id, telegram_chat_id, order_id, step)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (order_id, step) DO NOTHING
+             RETURNING id`,
+            [checkout.id, checkout.telegram_chat_id, checkout.order_id, step]
+        );
+        if (claimed.rows.length === 0) continue;
+        const reminderId = claimed.rows[0].id;
+
+        try {
+            const coupon = config.couponPercent > 0 && step >= config.couponStep
+                ? await getRecoveryCoupon(pool, checkout, config)
+                : null;
+            if (coupon) {
+                await pool.query('UPDATE checkout_recovery_messages SET coupon_code = $1 WHERE id = $2', [coupon.code, reminderId]);
+            }
+
+            const { message, options } = buildReminder(checkout, step, coupon);
+            await bot.sendMessage(checkout.telegram_chat_id, message, options);
+            summary.sent += 1;
+        } catch (err) {
+            summary.failed += 1;
+            console.error(`Checkout recovery: failed to remind order ${checkout.order_id} (step ${step}):`, err.message);
+            await pool.query('UPDATE checkout_recovery_messages SET error = $1 WHERE id = $2', [err.message, reminderId])
+                .catch(updateErr => console.error('Checkout recovery: could not record the error:', updateErr.message));
+        }
+    }
+    return summary;
+}
+
+/**
+ * Campaign results for the dashboard. A payment is recovered when the person
+ * reminded about a checkout pays for any plan after the first reminder and
+ * within the attribution window after the last one; refunded payments do not count.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} [config=getRecoveryConfig()]
+ * @returns {Promise<{checkoutsReminded: number, remindersSent: number, recoveredPayments: number, recoveredRevenue: number}>}
+ */
+export async function getRecoveryStats(pool, config = getRecoveryConfig()) {
+    const { rows } = await pool.query(
+        `WITH campaigns AS (
+             SELECT order_id, telegram_chat_id, MIN(sent_at) AS first_sent, MAX(sent_at) AS last_sent, COUNT(*) FILTER (WHERE error IS NULL) AS delivered
+             FROM checkout_recovery_messages
+             GROUP BY order_id, telegram_chat_id
+         ),
+         recovered AS (
+             SELECT DISTINCT a.id, a.amount_paid
+             FROM campaigns c
+             JOIN users o ON o.telegram_chat_id = c.telegram_chat_id
+             JOIN payment_activations a ON a.user_id = o.id
+             WHERE c.delivered > 0
+               AND a.revoked_at IS NULL
+               AND a.created_at > c.first_sent
+               AND a.created_at <= c.last_sent + make_interval(days => $1)
+         )
+         SELECT (SELECT COUNT(*) FROM campaigns WHERE delivered > 0)::int AS checkouts_reminded,
+                (SELECT COALESCE(SUM(delivered), 0) FROM campaigns)::int AS reminders_sent,
+                COUNT(*)::int AS recovered_payments,
+                COALESCE(SUM(amount_paid), 0) AS recovered_revenue
+         FROM recovered`,
+        [config.attributionDays]
+    );
+    const stats = rows[0];
+    return {
+        checkoutsReminded: stats.checkouts_reminded,
+        remindersSent: stats.reminders_sent,
+        recoveredPayments: stats.recovered_payments,
+        recoveredRevenue: parseFloat(stats.recovered_revenue)
+    };
+}
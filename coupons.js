@@ -0,0 +1,371 @@
+// coupons.js
+// Discount codes. Admins manage them on /admin/coupons; checkout recovery
+// creates short-lived ones of its own (see checkout_recovery.js). A checkout
+// records the code it applied in payments.coupon_code, and the code counts as
+// used once that payment completes, until the payment is refunded.
+//
+// Besides the discount (a percentage or a fixed USD amount) a coupon can have
+// rules, all optional (see migrate_coupon_rules.sql): a start and end date, a
+// cap on completed payments overall and per person, the plans it is valid
+// for, and whether it is only for a customer's first purchase or only for
+// renewals. checkCoupon() applies them the same way wherever a code is entered.
+//
+// A coupon can belong to an active affiliate (affiliate_user_id, see
+// migrate_affiliate_coupons.sql): a personal code for channels where a referral
+// link cannot be clicked. The checkout then credits that affiliate as referrer
+// when the buyer has no other one, and the affiliate's max_coupon_discount caps
+// what the code takes off.
+
+// Codes are typed in by customers: letters, digits, dashes and underscores
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+// Bot users get made-up emails; those say nothing about the person
+const SYNTHETIC_EMAIL = /@telegram\.user$/i;
+
+export const COUPON_DISCOUNT_TYPES = ['percent', 'fixed'];
+// any: every checkout; first_purchase: customers who never paid before; renewal: renewals only
+export const COUPON_AUDIENCES = ['any', 'first_purchase', 'renewal'];
+
+// Why a code cannot be used, as told to the customer
+const COUPON_REFUSALS = {
+    not_found: 'Invalid or expired coupon code.',
+    not_started: 'This coupon is not valid yet.',
+    expired: 'This coupon has expired.',
+    used_up: 'This coupon has reached its maximum number of uses.',
+    user_limit: 'You have already used this coupon the maximum number of times.',
+    plan_not_allowed: 'This coupon is not valid for the selected plan.',
+    first_purchase_only: 'This coupon is only valid for your first purchase.',
+    renewal_only: 'This coupon is only valid for renewals.',
+    covers_price: 'This coupon cannot be used for the selected plan.'
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const parseOptionalInteger = (value) => (value === null || value === '' ? null : parseInt(value, 10));
+
+/**
+ * Checks the fields of an admin's coupon form. Every field is optional so the
+ * same check serves creating (where the caller requires code and discount) and
+ * editing.
+ *
+ * @param {object} body - code, discount_type, discount_percentage, discount_amount, starts_at, expires_at,
+ *        max_redemptions, max_redemptions_per_user, allowed_plan_ids, applies_to, affiliate_telegram_handle, is_active
+ *        as sent by the form.
+ * @returns {{error: string}|{values: object}} values holds only the fields that were sent,
+ *          with the code uppercased and empty optional fields turned into null. The affiliate's
+ *          handle still has to be turned into affiliate_user_id with resolveCouponAffiliate().
+ */
+export function parseCouponInput(body) {
+    const values = {};
+    if (body.code !== undefined) {
+        const code = String(body.code).trim().toUpperCase();
+        if (!COUPON_CODE_PATTERN.test(code)) {
+            return { error: 'The code must be 3 to 50 letters, digits, dashes or underscores.' };
+        }
+        values.code = code;
+    }
+    if (body.discount_type !== undefined) {
+        if (!COUPON_DISCOUNT_TYPES.includes(body.discount_type)) {
+            return { error: 'The discount type must be percent or fixed.' };
+        }
+        values.discount_type = body.discount_type;
+    }
+    if (body.discount_percentage !== undefined && body.discount_percentage !== null && body.discount_percentage !== '') {
+        const discount = parseFloat(body.discount_percentage);
+        // Checkouts are paid: a coupon cannot make a plan free
+        if (!(discount > 0 && discount < 100)) {
+            return { error: 'The discount must be more than 0% and less than 100%.' };
+        }
+        values.discount_percentage = discount;
+    }
+    if (body.discount_amount !== undefined && body.discount_amount !== null && body.discount_amount !== '') {
+        const amount = parseFloat(body.discount_amount);
+        if (!(amount > 0)) {
+            return { error: 'The fixed discount must be more than $0.' };
+        }
+        values.discount_amount = roundCents(amount);
+    }
+    for (const field of ['starts_at', 'expires_at']) {
+        if (body[field] === undefined) continue;
+        if (body[field] && isNaN(new Date(body[field]))) {
+            return { error: `The ${field === 'starts_at' ? 'start' : 'end'} date is not a valid date.` };
+        }
+        values[field] = body[field] || null;
+    }
+    for (const field of ['max_redemptions', 'max_redemptions_per_user']) {
+        if (body[field] === undefined) continue;
+        const limit = parseOptionalInteger(body[field]);
+        if (limit !== null && !(limit >= 1)) {
+            return { error: 'Usage limits must be whole numbers of at least 1, or empty for no limit.' };
+        }
+        values[field] = limit;
+    }
+    if (body.allowed_plan_ids !== undefined) {
+        const planIds = (Array.isArray(body.allowed_plan_ids) ? body.allowed_plan_ids : [])
+            .map(id => parseInt(id, 10));
+        if (planIds.some(id => !(id > 0))) {
+            return { error: 'The allowed plans are not valid.' };
+        }
+        values.allowed_plan_ids = planIds.length > 0 ? planIds : null;
+    }
+    if (body.applies_to !== undefined) {
+        if (!COUPON_AUDIENCES.includes(body.applies_to)) {
+            return { error: 'The coupon must apply to any purchase, first purchases or renewals.' };
+        }
+        values.applies_to = body.applies_to;
+    }
+    if (body.affiliate_telegram_handle !== undefined) {
+        values.affiliate_telegram_handle = String(body.affiliate_telegram_handle || '').trim().replace('@', '').toLowerCase() || null;
+    }
+    if (body.is_active !== undefined) {
+        values.is_active = body.is_active === true || body.is_active === 'true';
+    }
+    return { values };
+}
+
+/**
+ * Replaces the affiliate_telegram_handle of parsed coupon input with the
+ * affiliate_user_id it stands for; an empty handle removes the owner. Only
+ * active affiliates can own coupons.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} values - From parseCouponInput(); changed in place.
+ * @returns {Promise<string|null>} An error message, or null.
+ */
+export async function resolveCouponAffiliate(db, values) {
+    if (values.affiliate_telegram_handle === undefined) return null;
+    const handle = values.affiliate_telegram_handle;
+    delete values.affiliate_telegram_handle;
+    if (!handle) {
+        values.affiliate_user_id = null;
+        return null;
+    }
+
+    const { rows } = await db.query(
+        `SELECT a.user_id
+         FROM affiliates a
+         JOIN users u ON u.id = a.user_id
+         WHERE LOWER(REPLACE(u.telegram_handle, '@', '')) = $1 AND a.is_active`,
+        [handle]
+    );
+    if (rows.length === 0) return `@${handle} is not an active affiliate.`;
+    values.affiliate_user_id = rows[0].user_id;
+    return null;
+}
+
+/**
+ * Whether a percentage coupon stays within its affiliate's discount cap. Fixed
+ * discounts depend on the price, so checkCoupon() caps those at the checkout.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} coupon - Row from coupons, possibly with unsaved changes.
+ * @returns {Promise<string|null>} An error message, or null.
+ */
+export async function checkAffiliateDiscountCap(db, coupon) {
+    if (!coupon.affiliate_user_id || (coupon.discount_type || 'percent') !== 'percent') return null;
+    const { rows } = await db.query('SELECT max_coupon_discount FROM affiliates WHERE user_id = $1', [coupon.affiliate_user_id]);
+    const cap = rows.length > 0 ? parseFloat(rows[0].max_coupon_discount) : NaN;
+    if (!isNaN(cap) && parseFloat(coupon.discount_percentage) > cap) {
+        return `This affiliate's codes can give at most ${cap}% off.`;
+    }
+    return null;
+}
+
+/**
+ * Whether a fixed discount leaves something to pay for every plan on sale it
+ * applies to; a percentage below 100 always does (see parseCouponInput()).
+ * Plans can still get cheaper later, so checkCoupon() refuses a code that
+ * would make a checkout free.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} coupon - Row from coupons, possibly with unsaved changes.
+ * @returns {Promise<string|null>} An error message, or null.
+ */
+export async function checkFixedDiscountLeavesPrice(db, coupon) {
+    if ((coupon.discount_type || 'percent') !== 'fixed') return null;
+    const planIds = coupon.allowed_plan_ids && coupon.allowed_plan_ids.length > 0 ? coupon.allowed_plan_ids : null;
+    const { rows } = await db.query(
+        `SELECT plan_name, price
+         FROM pricingplans
+         WHERE NOT is_archived AND NOT is_trial
+           AND ($1::int[] IS NULL OR plan_name IN (SELECT plan_name FROM pricingplans WHERE id = ANY($1::int[])))
+         ORDER BY price
+         LIMIT 1`,
+        [planIds]
+    );
+    if (rows.length > 0 && parseFloat(coupon.discount_amount) >= parseFloat(rows[0].price)) {
+        return `The fixed discount must be less than the price of every plan it applies to ($${parseFloat(rows[0].price)} for ${rows[0].plan_name}).`;
+    }
+    return null;
+}
+
+/**
+ * Checks the fields that depend on each other: the discount its type needs and
+ * the order of the dates. Run on the coupon as it would be saved, so an edit
+ * can send only some of them.
+ *
+ * @param {object} coupon - Row from coupons, possibly with unsaved changes.
+ * @returns {string|null} An error message, or null.
+ */
+export function validateCoupon(coupon) {
+    if (coupon.starts_at && coupon.expires_at && new Date(coupon.starts_at) >= new Date(coupon.expires_at)) {
+        return 'The end date must be after the start date.';
+    }
+    if ((coupon.discount_type || 'percent') === 'fixed') {
+        return parseFloat(coupon.discount_amount) > 0 ? null : 'A fixed discount needs an amount in USD.';
+    }
+    return parseFloat(coupon.discount_percentage) > 0 ? null : 'A percentage discount needs a percentage.';
+}
+
+/**
+ * The USD amount a coupon takes off a price; never more than the price itself.
+ * @param {object} coupon - Row from coupons.
+ * @param {number} price
+ * @param {number|null} [maxPercentage] - Cap as a percentage of the price (an affiliate's max_coupon_discount).
+ * @returns {number}
+ */
+export function getCouponDiscount(coupon, price, maxPercentage = null) {
+    let discount = coupon.discount_type === 'fixed'
+        ? parseFloat(coupon.discount_amount) || 0
+        : (price * (parseFloat(coupon.discount_percentage) || 0)) / 100;
+    if (maxPercentage !== null && !isNaN(maxPercentage)) {
+        discount = Math.min(discount, (price * maxPercentage) / 100);
+    }
+    return roundCents(Math.min(price, discount));
+}
+
+// Completed payments (activations not refunded, gift vouchers once paid) with
+// this code by the same person. The person is matched by Telegram account,
+// email or Telegram handle, whichever the checkout knows.
+async function countCouponUsesByCustomer(db, code, customer) {
+    const { rows } = await db.query(
+        `SELECT COUNT(DISTINCT p.order_id)::int AS uses
+         FROM payments p
+         LEFT JOIN payment_activations a ON a.order_id = p.order_id AND a.revoked_at IS NULL
+         LEFT JOIN users u ON u.id = COALESCE(a.user_id, p.user_id)
+         LEFT JOIN vouchers v ON v.order_id = p.order_id AND v.status IN ('available', 'redeemed')
+         WHERE p.coupon_code = $1
+           AND (a.id IS NOT NULL OR v.id IS NOT NULL)
+           AND (u.telegram_user_id::text = $2 OR v.purchaser_chat_id = $2
+                OR LOWER(u.email) = $3 OR LOWER(v.purchaser_email) = $3
+                OR LOWER(REPLACE(p.telegram_handle, '@', '')) = $4)`,
+        [code, customer.telegramUserId, customer.email, customer.telegramHandle]
+    );
+    return rows[0].uses;
+}
+
+// Whether the person has paid for any plan before (refunded payments do not count)
+async function hasPaidBefore(db, customer) {
+    const { rows } = await db.query(
+        `SELECT 1
+         FROM payment_activations a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.revoked_at IS NULL
+           AND (u.telegram_user_id::text = $1 OR LOWER(u.email) = $2 OR LOWER(REPLACE(u.telegram_handle, '@', '')) = $3)
+         LIMIT 1`,
+        [customer.telegramUserId, customer.email, customer.telegramHandle]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Checks a coupon code against its rules for one checkout and prices it.
+ * Customer details that are not known yet (e.g. on the coupon field before
+ * the form is filled in) skip the rules that need them; the checkout itself
+ * always checks again.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} options
+ * @param {string} options.code - As entered; matched case-insensitively.
+ * @param {object} options.plan - Row from pricingplans being bought.
+ * @param {number} options.price - USD price before the coupon.
+ * @param {string} [options.checkoutKind] - 'purchase', 'renewal' or 'gift'; omitted when unknown.
+ * @param {object} [options.customer] - telegramUserId, email and telegramHandle, as far as known.
+ * @returns {Promise<{status: 'applied', coupon: object, discount: number, finalPrice: number}
+ *          |{status: string, message: string}>} Any other status is a refusal from COUPON_REFUSALS.
+ *          coupon.affiliate_user_id is the affiliate to credit, if the code has one.
+ */
+export async function checkCoupon(db, { code, plan, price, checkoutKind = null, customer = {} }) {
+    const refuse = (status) => ({ status, message: COUPON_REFUSALS[status] });
+
+    const { rows } = await db.query('SELECT * FROM coupons WHERE UPPER(code) = UPPER($1) AND is_active', [String(code).trim()]);
+    if (rows.length === 0) return refuse('not_found');
+    const coupon = rows[0];
+
+    // An affiliate's code only works while they are an affiliate
+    let maxDiscount = null;
+    if (coupon.affiliate_user_id) {
+        const affiliate = await db.query('SELECT max_coupon_discount FROM affiliates WHERE user_id = $1 AND is_active', [coupon.affiliate_user_id]);
+        if (affiliate.rows.length === 0) return refuse('not_found');
+        if (affiliate.rows[0].max_coupon_discount !== null) maxDiscount = parseFloat(affiliate.rows[0].max_coupon_discount);
+    }
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return refuse('not_started');
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) return refuse('expired');
+    if (coupon.max_redemptions !== null && (coupon.usage_count || 0) >= coupon.max_redemptions) return refuse('used_up');
+
+    // A plan id stands for the plan, so its later versions are allowed too
+    if (coupon.allowed_plan_ids && coupon.allowed_plan_ids.length > 0) {
+        const allowed = await db.query(
+            'SELECT 1 FROM pricingplans WHERE id = ANY($1::int[]) AND (id = $2 OR plan_name = $3) LIMIT 1',
+            [coupon.allowed_plan_ids, plan.id, plan.plan_name]
+        );
+        if (allowed.rows.length === 0) return refuse('plan_not_allowed');
+    }
+
+    if (coupon.applies_to === 'renewal' && checkoutKind && checkoutKind !== 'renewal') return refuse('renewal_only');
+    if (coupon.applies_to === 'first_purchase' && (checkoutKind === 'renewal' || checkoutKind === 'gift')) return refuse('first_purchase_only');
+
+    const person = {
+        telegramUserId: customer.telegramUserId ? String(customer.telegramUserId) : null,
+        email: customer.email && !SYNTHETIC_EMAIL.test(customer.email) ? customer.email.trim().toLowerCase() : null,
+        telegramHandle: customer.telegramHandle ? customer.telegramHandle.trim().replace('@', '').toLowerCase() : null
+    };
+    const identified = person.telegramUserId || person.email || person.telegramHandle;
+    if (identified && coupon.applies_to === 'first_purchase' && await hasPaidBefore(db, person)) {
+        return refuse('first_purchase_only');
+    }
+    if (identified && coupon.max_redemptions_per_user !== null
+        && await countCouponUsesByCustomer(db, coupon.code, person) >= coupon.max_redemptions_per_user) {
+        return refuse('user_limit');
+    }
+
+    const discount = getCouponDiscount(coupon, price, maxDiscount);
+    const finalPrice = roundCents(price - discount);
+    if (!(finalPrice > 0)) return refuse('covers_price');
+    return { status: 'applied', coupon, discount, finalPrice };
+}
+
+/**
+ * Counts one use of the coupon a checkout applied, if any. Called once per
+ * completed payment, inside the transaction that activates it (or issues its
+ * gift voucher), so a re-delivered webhook never counts twice.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} orderId
+ */
+export async function recordCouponRedemption(db, orderId) {
+    await db.query(
+        `UPDATE coupons SET usage_count = COALESCE(usage_count, 0) + 1
+         WHERE code = (SELECT coupon_code FROM payments WHERE order_id = $1)`,
+        [orderId]
+    );
+}
+
+/**
+ * Takes back the use recordCouponRedemption() counted for a payment that was
+ * refunded (its activation revoked or its gift voucher voided), so refunded
+ * payments do not count towards max_redemptions, as they already do not
+ * towards max_redemptions_per_user.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} orderId
+ */
+export async function releaseCouponRedemption(db, orderId) {
+    await db.query(
+        `UPDATE coupons SET usage_count = GREATEST(COALESCE(usage_count, 0) - 1, 0)
+         WHERE code = (SELECT coupon_code FROM payments WHERE order_id = $1)`,
+        [orderId]
+    );
+}
@@ -0,0 +1,12 @@
+-- Two-factor authentication (TOTP) and password management for admin users.
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+-- SHA-256 hashes of the unused backup codes
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS totp_backup_codes TEXT[] DEFAULT '{}';
+-- Time step of the last accepted TOTP code; that step and earlier ones are refused
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+-- Set by a super admin to force (re-)enrolment or a password change at next login
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS must_enroll_totp BOOLEAN DEFAULT false;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,6 @@
+-- Deactivation and last-login tracking for admin users.
+-- A deactivated admin cannot log in and all of their sessions are revoked.
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE adminusers ADD COLUMN IF NOT EXISTS last_login_ip VARCHAR(45);
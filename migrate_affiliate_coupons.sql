@@ -0,0 +1,7 @@
+-- Affiliate-owned coupons (see coupons.js). A checkout with an affiliate's code
+-- credits that affiliate as referrer when the buyer has no other referrer.
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS affiliate_user_id INTEGER REFERENCES affiliates(user_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS coupons_affiliate_user_id_idx ON coupons (affiliate_user_id);
+
+-- Largest discount an affiliate's codes may give, in percent of the price; NULL: no cap
+ALTER TABLE affiliates ADD COLUMN IF NOT EXISTS max_coupon_discount NUMERIC(5,2);
@@ -0,0 +1,21 @@
+-- Abandoned checkout recovery (see checkout_recovery.js). One row per reminder
+-- sent for a checkout that was started but never paid; the unique key keeps a
+-- reminder from going out twice. Reminders the bot could not deliver are kept
+-- with the error so they are not retried. telegram_chat_id ties the reminder
+-- to a payment the same person makes later, on any plan.
+CREATE TABLE IF NOT EXISTS checkout_recovery_messages (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    telegram_chat_id VARCHAR(255) NOT NULL,
+    order_id VARCHAR(255) NOT NULL,
+    step INTEGER NOT NULL,
+    coupon_code VARCHAR(50),
+    error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (order_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS checkout_recovery_messages_user_id_idx ON checkout_recovery_messages (user_id);
+
+-- Recovery coupons only work for a limited time
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,13 @@
+-- Coupon management on /admin/coupons (see coupons.js). Usage and revenue per
+-- code come from the payments that applied it.
+CREATE INDEX IF NOT EXISTS payments_coupon_code_idx ON payments (coupon_code);
+
+-- usage_count was never maintained; count the payments that actually completed with each code
+UPDATE coupons c SET usage_count = (
+    SELECT COUNT(DISTINCT p.order_id)
+    FROM payments p
+    LEFT JOIN payment_activations a ON a.order_id = p.order_id
+    LEFT JOIN vouchers v ON v.order_id = p.order_id
+    WHERE p.coupon_code = c.code
+      AND (a.id IS NOT NULL OR v.status IN ('available', 'redeemed'))
+);
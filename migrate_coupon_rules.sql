@@ -0,0 +1,12 @@
+-- Coupon rules (see checkCoupon() in coupons.js). Every rule is optional;
+-- expires_at (added for checkout recovery) is the end date.
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS max_redemptions INTEGER;              -- completed payments overall
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS max_redemptions_per_user INTEGER;     -- completed payments per person
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS allowed_plan_ids INTEGER[];           -- NULL: every plan
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS applies_to VARCHAR(16) NOT NULL DEFAULT 'any';  -- 'any', 'first_purchase' or 'renewal'
+
+-- Fixed discounts take discount_amount (USD) off instead of a percentage
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS discount_type VARCHAR(16) NOT NULL DEFAULT 'percent';  -- 'percent' or 'fixed'
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2);
+ALTER TABLE coupons ALTER COLUMN discount_percentage DROP NOT NULL;
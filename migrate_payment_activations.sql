@@ -0,0 +1,19 @@
+-- One row per provider payment that has activated a subscription.
+-- The unique key makes activation idempotent: a re-delivered webhook finds its
+-- row already here and changes nothing (see subscription_activation.js).
+CREATE TABLE IF NOT EXISTS payment_activations (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(32) NOT NULL,
+    provider_payment_id VARCHAR(128) NOT NULL,
+    order_id VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    amount_paid NUMERIC,
+    subscription_expiration DATE,
+    invite_link VARCHAR(255),
+    referrer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    commission_amount NUMERIC DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (provider, provider_payment_id)
+);
+
+CREATE INDEX IF NOT EXISTS payment_activations_order_id_idx ON payment_activations (order_id);
@@ -0,0 +1,13 @@
+-- Refunds take access away again. revoked_at on the activation row makes the
+-- revocation idempotent the same way the row itself makes activation idempotent.
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS revoke_reason VARCHAR(64);
+
+-- Whether the activation's sale earned the referrer the affiliate bonus, so a
+-- refund can take the bonus back along with the commission.
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS bonus_awarded BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS commission_reversed NUMERIC DEFAULT 0;
+
+-- The provider's answer to an admin refund, stored as soon as it arrives. A
+-- refund that stopped after that point is finished without asking the provider again.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_refund JSONB;
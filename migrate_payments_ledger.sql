@@ -0,0 +1,17 @@
+-- Turns the existing payments table into a ledger of every checkout and webhook.
+-- One row per order_id; see payments_ledger.js.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(32) DEFAULT 'nowpayments';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_payment_id VARCHAR(128);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS source VARCHAR(16);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_response JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS actually_paid NUMERIC;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS ipn_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+UPDATE payments SET provider_payment_id = nowpayments_payment_id WHERE provider_payment_id IS NULL AND nowpayments_payment_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS payments_order_id_key ON payments (order_id);
+CREATE INDEX IF NOT EXISTS payments_telegram_handle_idx ON payments (telegram_handle);
+CREATE INDEX IF NOT EXISTS payments_status_idx ON payments (payment_status);
+CREATE INDEX IF NOT EXISTS payments_created_at_idx ON payments (created_at);
@@ -0,0 +1,8 @@
+-- Upgrades and downgrades (see plan_changes.js). The checkout row in payments
+-- remembers which subscription it replaces and the credit given for it; the
+-- activation row remembers the plan the user moved from.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_change_from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS proration_credit NUMERIC;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_change_extra_days INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS plan_changed_from VARCHAR(255);
@@ -0,0 +1,24 @@
+-- Plan durations (see plan_durations.js). How long a plan runs used to be
+-- inferred from its name (Basic 1, Pro 3, Elite 6 months) or parsed from the
+-- free-text term; it is now stored on the plan and edited on the pricing page.
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS duration_unit VARCHAR(10) NOT NULL DEFAULT 'months';
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS duration_value INTEGER;
+
+-- Existing plans get exactly the duration the old inference gave them
+UPDATE pricingplans
+SET duration_unit = 'months',
+    duration_value = CASE
+        WHEN TRIM(plan_name) = 'Pro' THEN 3
+        WHEN TRIM(plan_name) = 'Elite' THEN 6
+        WHEN TRIM(plan_name) = 'Basic' THEN 1
+        WHEN LOWER(term) ~ '\d+\s*month' THEN substring(LOWER(term) from '(\d+)\s*month')::int
+        WHEN LOWER(term) LIKE '%year%' THEN 12
+        ELSE 1
+    END
+WHERE duration_value IS NULL AND duration_unit <> 'lifetime';
+
+ALTER TABLE pricingplans DROP CONSTRAINT IF EXISTS pricingplans_duration_check;
+ALTER TABLE pricingplans ADD CONSTRAINT pricingplans_duration_check CHECK (
+    (duration_unit = 'lifetime' AND duration_value IS NULL)
+    OR (duration_unit IN ('days', 'months') AND duration_value >= 1)
+);
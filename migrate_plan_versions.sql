@@ -0,0 +1,32 @@
+-- Plan versions and archiving (see plan_catalog.js). A plan is never deleted:
+-- archived versions are hidden from buyers but kept for the subscribers on them.
+-- Changing a plan's price, term or duration archives the current version and
+-- creates the next one, so every user and payment points at the exact terms it
+-- was sold under. plan_name stays the same across a plan's versions.
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+-- Id of the plan's first version, shared by all of its versions
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS plan_family_id INTEGER REFERENCES pricingplans(id);
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS superseded_by INTEGER REFERENCES pricingplans(id);
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE pricingplans SET plan_family_id = id WHERE plan_family_id IS NULL;
+
+-- Only one version of a plan can be on sale at a time
+CREATE UNIQUE INDEX IF NOT EXISTS pricingplans_current_name_key ON pricingplans (plan_name) WHERE NOT is_archived;
+
+-- Users and payments reference the plan version by id (plan_name is kept as a label)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES pricingplans(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES pricingplans(id);
+
+UPDATE users u SET plan_id = p.id
+FROM pricingplans p
+WHERE u.plan_id IS NULL AND TRIM(p.plan_name) = TRIM(u.plan_name);
+
+UPDATE payments pay SET plan_id = p.id
+FROM pricingplans p
+WHERE pay.plan_id IS NULL AND TRIM(p.plan_name) = TRIM(pay.plan_name);
+
+CREATE INDEX IF NOT EXISTS users_plan_id_idx ON users (plan_id);
+CREATE INDEX IF NOT EXISTS payments_plan_id_idx ON payments (plan_id);
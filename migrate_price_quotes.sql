@@ -0,0 +1,4 @@
+-- Server-side price quotes (see price_quotes.js). Each checkout records the
+-- quote it redeemed; the unique index makes a quote good for one checkout.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS quote_id VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS payments_quote_id_idx ON payments (quote_id) WHERE quote_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Renewals: an active subscriber paying for the same plan again keeps access
+-- and the new term is added to their current subscription_expiration.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS is_renewal BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS is_renewal BOOLEAN NOT NULL DEFAULT false;
+-- End date before a renewal was stacked on it, so refunding the renewal only takes its term back
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS previous_expiration DATE;
+
+-- Whether the sale moved the referrer's affiliate bonus counter. Under the
+-- 'reduced' and 'none' renewal policies renewals do not, so a refund must not
+-- move it back either. Everything activated before this column existed did count.
+ALTER TABLE payment_activations ADD COLUMN IF NOT EXISTS counted_for_bonus BOOLEAN NOT NULL DEFAULT true;
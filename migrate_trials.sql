@@ -0,0 +1,22 @@
+-- Free trial plans (see trials.js). A trial plan costs nothing and is started
+-- from the bot instead of a checkout. trial_claims remembers who has had a
+-- trial; the unique indexes allow one per Telegram account, WhatsApp number
+-- and email, even when two requests race.
+ALTER TABLE pricingplans ADD COLUMN IF NOT EXISTS is_trial BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS trial_claims (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    plan_id INTEGER REFERENCES pricingplans(id) ON DELETE SET NULL,
+    telegram_user_id BIGINT,
+    whatsapp_number VARCHAR(32),
+    email VARCHAR(255),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    conversion_sent_at TIMESTAMP WITH TIME ZONE
+);
+
+-- whatsapp_number is stored as digits only and email in lower case
+CREATE UNIQUE INDEX IF NOT EXISTS trial_claims_telegram_user_id_key ON trial_claims (telegram_user_id) WHERE telegram_user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS trial_claims_whatsapp_number_key ON trial_claims (whatsapp_number) WHERE whatsapp_number IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS trial_claims_email_key ON trial_claims (email) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS trial_claims_user_id_idx ON trial_claims (user_id);
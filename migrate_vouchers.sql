@@ -0,0 +1,30 @@
+-- Gift subscriptions and vouchers (see vouchers.js). A voucher is a code worth
+-- one term of a plan version. Gift vouchers are bought through a normal
+-- checkout (order_id) and become available once it is paid; admin vouchers are
+-- generated in batches and available straight away. A voucher is redeemed once,
+-- by whoever enters the code first.
+CREATE TABLE IF NOT EXISTS vouchers (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(32) NOT NULL UNIQUE,
+    plan_id INTEGER NOT NULL REFERENCES pricingplans(id),
+    kind VARCHAR(16) NOT NULL DEFAULT 'gift',             -- 'gift' or 'admin'
+    status VARCHAR(16) NOT NULL DEFAULT 'available',      -- 'pending', 'available', 'redeemed' or 'void'
+    order_id VARCHAR(255) UNIQUE,                         -- the gift checkout
+    purchaser_telegram_handle VARCHAR(255),
+    purchaser_chat_id VARCHAR(255),
+    purchaser_email VARCHAR(255),
+    batch_label VARCHAR(100),
+    created_by_admin_id INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,                -- when the buyer was shown the code
+    redeemed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    redeemed_by_telegram_handle VARCHAR(255),
+    redeemed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS vouchers_status_idx ON vouchers (status);
+CREATE INDEX IF NOT EXISTS vouchers_batch_label_idx ON vouchers (batch_label);
+
+-- A gift checkout pays for a voucher, not for the payer's own subscription
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS is_gift BOOLEAN NOT NULL DEFAULT false;
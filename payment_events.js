@@ -0,0 +1,34 @@
+// payment_events.js
+// In-process channel for "something happened to this order". The activation,
+// revocation and voucher code publish to it, and listeners (the SSE status
+// stream in server.js, the bot's checkout message) react straight away instead
+// of polling. Like userRegistrationState, it lives in this process's memory:
+// the web server and the bot run in the same process, so nothing is lost.
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per open checkout page or bot chat; there is no fixed upper bound
+emitter.setMaxListeners(0);
+
+/**
+ * Tells everyone listening to an order that its state changed.
+ * @param {string} orderId
+ * @param {string} status - What happened: 'activated', 'revoked', 'voucher_issued', 'voucher_voided'
+ *        or a provider status such as 'confirming', 'partially_paid', 'failed' or 'expired'.
+ */
+export function publishPaymentUpdate(orderId, status) {
+    emitter.emit(`order:${orderId}`, { orderId, status });
+}
+
+/**
+ * Listens to the updates of one order.
+ * @param {string} orderId
+ * @param {function({orderId: string, status: string}): void} listener
+ * @returns {function(): void} Stops listening.
+ */
+export function subscribePaymentUpdates(orderId, listener) {
+    const eventName = `order:${orderId}`;
+    emitter.on(eventName, listener);
+    return () => emitter.off(eventName, listener);
+}
@@ -0,0 +1,177 @@
+// payment_outcomes.js
+// What a provider status means for the order: applyPaymentStatus() activates,
+// revokes or tells the user about an underpayment (partially_paid) or a
+// checkout that failed or expired. Bot users get a message; web users see the
+// same details from GET /api/payments/status/:order_id.
+
+import { bot, userRegistrationState } from './telegram_bot.js';
+import { activateSubscription, revokeSubscription } from './subscription_activation.js';
+import { fulfillGiftVoucher, voidGiftVoucher } from './vouchers.js';
+import { publishPaymentUpdate } from './payment_events.js';
+
+// Provider statuses that end a checkout without payment. The user needs a new checkout.
+export const DEAD_PAYMENT_STATUSES = ['failed', 'expired'];
+
+// Statuses (lowercased) after which the provider has the money
+export const COMPLETED_PAYMENT_STATUSES = {
+    nowpayments: ['finished', 'confirmed'],
+    transfi: ['completed', 'successful'],
+    sandbox: ['finished']
+};
+
+const roundAmount = (amount) => parseFloat(amount.toFixed(6));
+
+/**
+ * How much of an underpaid payment is still owed, in the pay currency and in USD.
+ * @param {object} payment - Row from payments.
+ * @returns {{payAmount: number, actuallyPaid: number, remainingAmount: number, remainingUsd: number|null}}
+ */
+export function getRemainingAmount(payment) {
+    const payAmount = parseFloat(payment.pay_amount) || 0;
+    const actuallyPaid = parseFloat(payment.actually_paid) || 0;
+    const remainingAmount = Math.max(0, payAmount - actuallyPaid);
+    const priceAmount = parseFloat(payment.price_amount);
+    const remainingUsd = payAmount > 0 && !isNaN(priceAmount)
+        ? parseFloat(((priceAmount * remainingAmount) / payAmount).toFixed(2))
+        : null;
+
+    return {
+        payAmount: roundAmount(payAmount),
+        actuallyPaid: roundAmount(actuallyPaid),
+        remainingAmount: roundAmount(remainingAmount),
+        remainingUsd
+    };
+}
+
+/**
+ * The address the user pays to, from the latest webhook or the checkout response.
+ * @param {object} payment - Row from payments.
+ * @returns {string|null}
+ */
+export function getPayAddress(payment) {
+    return (payment.ipn_payload && payment.ipn_payload.pay_address)
+        || (payment.provider_response && payment.provider_response.pay_address)
+        || null;
+}
+
+async function sendPartialPaymentMessage(payment) {
+    const { payAmount, actuallyPaid, remainingAmount } = getRemainingAmount(payment);
+    const currency = (payment.pay_currency || '').toUpperCase();
+    const payAddress = getPayAddress(payment);
+
+    let message = `⚠️ We received *${actuallyPaid} ${currency}* of the *${payAmount} ${currency}* due for your ${payment.plan_name} plan.\n\n`
+        + `Please send the remaining *${remainingAmount} ${currency}*`;
+    message += payAddress ? ` to the same address:\n\n\`${payAddress}\`` : '.';
+    message += `\n\nYour access is unlocked as soon as the full amount arrives.\n☎️ Support: @Nexxtrade\\_Support`;
+
+    await bot.sendMessage(payment.telegram_chat_id, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: '🔐Unlock VIP Signals', callback_data: `check_payment_status_${payment.order_id}` }]
+            ]
+        }
+    });
+}
+
+async function sendDeadPaymentMessage(payment) {
+    const reason = payment.payment_status === 'expired'
+        ? 'expired before the payment arrived'
+        : 'failed';
+
+    // The old checkout is finished; a fresh one starts from the plan list
+    const state = userRegistrationState[payment.telegram_chat_id];
+    if (state && state.orderId === payment.order_id) {
+        delete userRegistrationState[payment.telegram_chat_id];
+    }
+
+    await bot.sendMessage(
+        payment.telegram_chat_id,
+        `❌ Your checkout for the ${payment.plan_name} plan ${reason}, so no access was granted.\n\nIf you still want to join, please start a new checkout.\n☎️ Support: @Nexxtrade_Support`,
+        {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: 'Start a New Checkout', callback_data: 'join_vip' }]
+                ]
+            }
+        }
+    );
+}
+
+/**
+ * Tells a bot user about an underpaid, failed or expired payment. Call it after
+ * the webhook has been recorded in the payments ledger.
+ * @param {import('pg').Pool} pool
+ * @param {string} orderId
+ * @returns {Promise<boolean>} Whether a message was sent.
+ */
+export async function notifyPaymentOutcome(pool, orderId) {
+    const { rows } = await pool.query(
+        `SELECT p.*, COALESCE(u.telegram_chat_id, v.purchaser_chat_id) AS telegram_chat_id,
+                COALESCE(u.registration_source, CASE WHEN v.purchaser_chat_id IS NOT NULL THEN 'bot' END) AS registration_source
+         FROM payments p
+         LEFT JOIN users u ON u.order_id = p.order_id
+         LEFT JOIN vouchers v ON v.order_id = p.order_id
+         WHERE p.order_id = $1`,
+        [orderId]
+    );
+    if (rows.length === 0) return false;
+    const payment = rows[0];
+    if (payment.registration_source !== 'bot' || !payment.telegram_chat_id) return false;
+
+    if (payment.payment_status === 'partially_paid') {
+        await sendPartialPaymentMessage(payment);
+        return true;
+    }
+    if (DEAD_PAYMENT_STATUSES.includes(payment.payment_status)) {
+        await sendDeadPaymentMessage(payment);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Applies a provider status to its order, whether it came from a webhook or
+ * from the reconciliation job. Activation and revocation are idempotent, so the
+ * same status can safely be applied more than once. A paid gift checkout
+ * issues its voucher instead of activating anyone (see vouchers.js), and a
+ * refunded one voids it.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} payment
+ * @param {string} payment.provider - A provider name from payment_providers.js.
+ * @param {string} payment.orderId - Our order id.
+ * @param {string} payment.providerPaymentId - The provider's id for this payment.
+ * @param {string} payment.status - Provider status, lowercased.
+ * @param {number} [payment.amountPaid] - USD amount charged, used for the commission.
+ * @param {boolean} [payment.notify=true] - Message the user about partial/failed/expired payments.
+ * @returns {Promise<string>} 'activated', 'voucher_issued', 'duplicate', 'not_found', 'revoked', 'already_revoked',
+ *          'not_activated', 'voucher_voided', 'voucher_redeemed', 'already_voided', 'notified' or 'ignored'.
+ */
+export async function applyPaymentStatus(pool, { provider, orderId, providerPaymentId, status, amountPaid, notify = true }) {
+    if ((COMPLETED_PAYMENT_STATUSES[provider] || []).includes(status)) {
+        const gift = await fulfillGiftVoucher(pool, orderId);
+        if (gift) return gift.status === 'issued' ? 'voucher_issued' : 'duplicate';
+        const result = await activateSubscription(pool, { provider, providerPaymentId, orderId, amountPaid });
+        return result.status;
+    }
+    if (status === 'refunded') {
+        const giftOutcome = await voidGiftVoucher(pool, orderId);
+        if (giftOutcome) return giftOutcome;
+        const result = await revokeSubscription(pool, { provider, orderId, reason: 'refunded' });
+        return result.status;
+    }
+    // Nothing changes on our side, but anyone watching the checkout gets to see it
+    // (e.g. the bot shows that a payment was detected while it confirms)
+    publishPaymentUpdate(orderId, status);
+    if (notify && (status === 'partially_paid' || DEAD_PAYMENT_STATUSES.includes(status))) {
+        // The ledger already marks the attempt; the user is told what to do next
+        const sent = await notifyPaymentOutcome(pool, orderId)
+            .catch(err => {
+                console.error(`Failed to notify user about ${status} order ${orderId}:`, err);
+                return false;
+            });
+        return sent ? 'notified' : 'ignored';
+    }
+    return 'ignored';
+}
@@ -0,0 +1,483 @@
+// payment_providers.js
+// Every payment provider sits behind the same interface, so routes, the
+// reconciliation job and admin refunds never talk to a provider's API directly:
+//
+//   name                          - The provider column in payments.
+//   createCheckout(checkout)      - Starts a payment. Resolves { ok, status, providerPaymentId,
+//                                   payAmount, payCurrency, paymentUrl, response } or
+//                                   { ok: false, httpStatus, message, response }.
+//   verifyWebhook(req)            - The webhook as an event for the ledger, or null if the
+//                                   signature does not match.
+//   getPaymentStatus(payment)     - The provider's current status for a payments row. Optional:
+//                                   without it the provider's orders are left out of
+//                                   reconciliation (see payment_reconciliation.js).
+//   refund(payment, { reason })   - Sends the money back, or { ok: false } with what to do instead.
+//
+// Fiat providers also have getQuote() (exchange rate and fees) and
+// prepareCustomer() (KYC record needed before a deposit).
+//
+// The sandbox provider answers all of it locally, for running the web and bot
+// checkouts on a dev machine without real money (PAYMENT_SANDBOX=true).
+
+import crypto from 'crypto';
+
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+/**
+ * NOWPayments: crypto checkouts with a deposit address.
+ * @param {object} [options]
+ * @param {string} [options.apiKey=process.env.NOWPAYMENTS_API_KEY]
+ * @param {string} [options.ipnSecret=process.env.NOWPAYMENTS_IPN_SECRET]
+ * @param {string} [options.baseUrl=process.env.APP_BASE_URL] - Where NOWPayments sends webhooks.
+ * @returns {object} Provider
+ */
+export function createNowPaymentsProvider({
+    apiKey = process.env.NOWPAYMENTS_API_KEY,
+    ipnSecret = process.env.NOWPAYMENTS_IPN_SECRET,
+    baseUrl = process.env.APP_BASE_URL
+} = {}) {
+    return {
+        name: 'nowpayments',
+
+        async createCheckout({ orderId, priceAmount, priceCurrency = 'usd', payCurrency, description }) {
+            const response = await fetch('https://api.nowpayments.io/v1/payment', {
+                method: 'POST',
+                headers: {
+                    'x-api-key': apiKey,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    price_amount: priceAmount,
+                    price_currency: priceCurrency,
+                    pay_currency: payCurrency,
+                    ipn_callback_url: `${baseUrl}/api/payments/nowpayments/webhook`,
+                    order_id: orderId,
+                    order_description: description
+                })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('NOWPayments API Error:', errorText);
+                return { ok: false, httpStatus: 500, message: errorText, response: { error: errorText } };
+            }
+
+            const data = await response.json();
+            return {
+                ok: true,
+                status: data.payment_status || 'waiting',
+                providerPaymentId: data.payment_id,
+                payAmount: data.pay_amount,
+                payCurrency: data.pay_currency,
+                response: data
+            };
+        },
+
+        verifyWebhook(req) {
+            const body = req.body;
+            const sortedData = JSON.stringify(body, Object.keys(body).sort());
+            const calculatedHmac = crypto.createHmac('sha512', ipnSecret)
+                .update(Buffer.from(sortedData, 'utf-8'))
+                .digest('hex');
+            if (req.headers['x-nowpayments-sig'] !== calculatedHmac) return null;
+
+            return {
+                orderId: body.order_id,
+                providerPaymentId: body.payment_id,
+                status: body.payment_status,
+                payAmount: body.pay_amount,
+                actuallyPaid: body.actually_paid,
+                payCurrency: body.pay_currency,
+                amountPaid: body.price_amount,
+                payload: body
+            };
+        },
+
+        async getPaymentStatus(payment) {
+            const response = await fetch(`https://api.nowpayments.io/v1/payment/${encodeURIComponent(payment.provider_payment_id)}`, {
+                headers: { 'x-api-key': apiKey }
+            });
+            if (!response.ok) {
+                throw new Error(`NOWPayments status lookup failed: ${response.status} ${await response.text()}`);
+            }
+            const data = await response.json();
+            return {
+                status: String(data.payment_status).toLowerCase(),
+                providerPaymentId: data.payment_id,
+                payAmount: data.pay_amount,
+                actuallyPaid: data.actually_paid,
+                payCurrency: data.pay_currency,
+                amountPaid: data.price_amount,
+                payload: data
+            };
+        },
+
+        async refund() {
+            return { ok: false, message: 'NOWPayments has no refund API. Send the refund from the NOWPayments dashboard.' };
+        }
+    };
+}
+
+/**
+ * TransFi: fiat deposits (bank transfer and local methods) settled in USDT.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl=process.env.TRANSFI_BASE_URL]
+ * @param {string} [options.webhookSecret=process.env.TRANSFI_WEBHOOK_SECRET]
+ * @returns {object} Provider
+ */
+export function createTransfiProvider({
+    baseUrl = process.env.TRANSFI_BASE_URL,
+    webhookSecret = process.env.TRANSFI_WEBHOOK_SECRET
+} = {}) {
+    // Basic auth is username:password (the password is the 'merchant_secret')
+    const credentials = `${process.env.TRANSFI_USERNAME}:${process.env.TRANSFI_PASSWORD}`;
+    const headers = (extra = {}) => ({
+        'Authorization': `Basic ${Buffer.from(credentials).toString('base64')}`,
+        'MID': process.env.TRANSFI_MID,
+        ...extra
+    });
+
+    return {
+        name: 'transfi',
+
+        /**
+         * Creates or retrieves the individual user TransFi needs before a deposit.
+         * @param {object} customer - { email, firstName, lastName, dateOfBirth, country, phone, addressLine1, city, state, zipCode }
+         * @returns {Promise<string>} The TransFi userId.
+         */
+        async prepareCustomer({ email, firstName, lastName, dateOfBirth, country, phone, addressLine1, city, state, zipCode }) {
+            const response = await fetch(`${baseUrl}/v2/users/individual`, {
+                method: 'POST',
+                headers: headers({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    email,
+                    firstName,
+                    lastName,
+                    date: dateOfBirth,
+                    country,
+                    phone,
+                    address: {
+                        street: addressLine1,
+                        city,
+                        state,
+                        postalCode: zipCode
+                    }
+                })
+            });
+
+            const data = await response.json();
+            if (response.ok && data.userId) {
+                return data.userId;
+            }
+            // An existing user comes back as an error that still carries the userId
+            if (data.message && data.message.includes('User already registered') && data.userId) {
+                return data.userId;
+            }
+
+            console.error('TransFi User API Error:', data);
+            throw new Error(data.message || `Failed to register user: ${response.status} ${response.statusText}`);
+        },
+
+        /**
+         * Exchange rate, fees and quote for paying `amount` in `currency`.
+         * @returns {Promise<{ok: boolean, httpStatus: number, data: object}>} data is TransFi's body:
+         *          exchangeRate, fees, fiatAmount (in CENTS), quoteId, withdrawAmount.
+         */
+        async getQuote({ amount, currency, paymentCode }) {
+            const query = new URLSearchParams({ amount, currency, paymentCode, direction: 'forward', balanceCurrency: currency });
+            const response = await fetch(`${baseUrl}/v2/exchange-rates/deposit?${query}`, { headers: headers() });
+            const data = await response.json();
+            if (!response.ok || data.status !== 'success') {
+                console.error('TransFi Rate API Error:', data);
+                return { ok: false, httpStatus: response.status, data };
+            }
+            return { ok: true, httpStatus: response.status, data };
+        },
+
+        // `amount` is in CENTS of the local currency, as returned by getQuote()
+        async createCheckout({ orderId, amount, payCurrency, paymentCode, quoteId, customer, redirectUrl, partnerContext }) {
+            const response = await fetch(`${baseUrl}/v2/orders/deposit`, {
+                method: 'POST',
+                headers: headers({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    orderId,
+                    firstName: customer.firstName,
+                    lastName: customer.lastName,
+                    email: customer.email,
+                    country: customer.country,
+                    amount: parseFloat(amount),
+                    paymentType: 'bank_transfer',
+                    currency: payCurrency,
+                    addressLine1: customer.addressLine1,
+                    city: customer.city,
+                    zipCode: customer.zipCode,
+                    paymentCode,
+                    purposeCode: 'expense_or_medical_reimbursement',
+                    quoteId,
+                    redirectUrl,
+                    partnerContext,
+                    withdrawDetails: {
+                        cryptoTicker: 'USDT',
+                        walletAddress: process.env.TRANSFI_WITHDRAWAL_WALLET_ADDRESS,
+                        network: 'TRX'
+                    }
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok || data.status !== 'SUCCESS') {
+                console.error('TransFi Deposit API Error:', data);
+                return { ok: false, httpStatus: response.status || 500, message: data.message || 'Failed to create deposit order.', response: data };
+            }
+
+            return {
+                ok: true,
+                status: 'created',
+                providerPaymentId: data.data && data.data.orderId,
+                payAmount: parseFloat(amount) / 100,
+                payCurrency,
+                paymentUrl: data.data.paymentUrl,
+                response: data
+            };
+        },
+
+        verifyWebhook(req) {
+            const body = req.body;
+            const calculatedSignature = crypto
+                .createHmac('sha256', webhookSecret)
+                .update(JSON.stringify(body))
+                .digest('hex');
+            if (req.headers['x-transfi-signature'] !== calculatedSignature) return null;
+
+            // TransFi's amount is in the local fiat currency, so the commission is based on the USD plan price
+            return {
+                orderId: body.clientOrderId,
+                providerPaymentId: body.orderId || body.clientOrderId,
+                status: body.status ? body.status.toLowerCase() : 'unknown',
+                payload: body
+            };
+        },
+
+        // No getPaymentStatus(): TransFi orders are only updated by their webhooks
+
+        async refund() {
+            return { ok: false, message: 'TransFi refunds are not available through the API. Return the funds from the TransFi dashboard.' };
+        }
+    };
+}
+
+/**
+ * Local stand-in for both providers. Checkouts get a fake deposit address and a
+ * pay page instead of a real payment; statuses use NOWPayments' names
+ * (waiting, confirming, finished, partially_paid, failed, expired, refunded).
+ * simulate() moves a checkout to a status and delivers a signed webhook to this
+ * server, so everything after the webhook runs exactly as in production.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - This server, where the webhooks are sent.
+ * @param {string} [options.webhookSecret] - Random per process unless SANDBOX_WEBHOOK_SECRET is set;
+ *        the sandbox only ever signs webhooks for this same server.
+ * @param {number} [options.autoConfirmSeconds=0] - When set, every checkout confirms and
+ *        then finishes by itself after this many seconds (each), with no clicks needed.
+ * @returns {object} Provider, plus simulate()
+ */
+export function createSandboxProvider({
+    baseUrl = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    webhookSecret = process.env.SANDBOX_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+    autoConfirmSeconds = parseInt(process.env.SANDBOX_AUTO_CONFIRM_SECONDS, 10) || 0
+} = {}) {
+    // order_id -> the checkout as the provider sees it, in the shape of a NOWPayments payment.
+    // Lost on restart; simulate() rebuilds it from the ledger row.
+    const checkouts = new Map();
+
+    const sign = (body) => crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(body)).digest('hex');
+
+    const fromLedger = (payment) => ({
+        payment_id: payment.provider_payment_id,
+        payment_status: payment.payment_status,
+        pay_address: (payment.provider_response && payment.provider_response.pay_address) || null,
+        pay_amount: parseFloat(payment.pay_amount),
+        pay_currency: payment.pay_currency,
+        price_amount: parseFloat(payment.price_amount),
+        price_currency: payment.price_currency,
+        order_id: payment.order_id,
+        redirect_url: payment.provider_response && payment.provider_response.redirect_url,
+        sandbox: true
+    });
+
+    async function deliver(checkout, status, actuallyPaid) {
+        const paidInFull = ['confirmed', 'finished', 'refunded'].includes(status);
+        const body = {
+            ...checkout,
+            payment_status: status,
+            actually_paid: actuallyPaid ?? (paidInFull ? checkout.pay_amount : checkout.actually_paid || 0),
+            updated_at: new Date().toISOString()
+        };
+        checkouts.set(body.order_id, body);
+
+        try {
+            const response = await fetch(`${baseUrl}/api/payments/sandbox/webhook`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-sandbox-signature': sign(body) },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                console.warn(`Sandbox: webhook for order ${body.order_id} (${status}) answered ${response.status}.`);
+            }
+            return { ...body, webhook_delivered: response.ok };
+        } catch (err) {
+            // Reconciliation picks the status up from getPaymentStatus() later
+            console.warn(`Sandbox: could not deliver the webhook for order ${body.order_id}:`, err.message);
+            return { ...body, webhook_delivered: false };
+        }
+    }
+
+    return {
+        name: 'sandbox',
+
+        async prepareCustomer({ email }) {
+            return `sandbox-user-${email}`;
+        },
+
+        // 1 USD = 1 unit of any currency, no fees
+        async getQuote({ amount, currency }) {
+            const value = parseFloat(amount) || 0;
+            return {
+                ok: true,
+                httpStatus: 200,
+                data: {
+                    status: 'success',
+                    data: {
+                        quoteId: `sandbox-quote-${crypto.randomBytes(6).toString('hex')}`,
+                        exchangeRate: 1,
+                        fiatTicker: currency,
+                        fiatAmount: Math.round(value * 100),
+                        withdrawAmount: value,
+                        fees: { totalFee: 0 },
+                        sandbox: true
+                    }
+                }
+            };
+        },
+
+        // Crypto checkouts pay priceAmount 1:1 in the pay currency; fiat ones pay `amount` (in cents)
+        async createCheckout({ orderId, priceAmount, priceCurrency = 'usd', payCurrency, description, amount, redirectUrl }) {
+            const checkout = {
+                payment_id: `sandbox-${crypto.randomBytes(8).toString('hex')}`,
+                payment_status: 'waiting',
+                pay_address: `SANDBOX${crypto.randomBytes(16).toString('hex').toUpperCase()}`,
+                pay_amount: amount ? parseFloat(amount) / 100 : priceAmount,
+                pay_currency: payCurrency,
+                price_amount: priceAmount,
+                price_currency: priceCurrency,
+                order_id: orderId,
+                order_description: description || null,
+                payment_url: `${baseUrl}/sandbox/pay/${encodeURIComponent(orderId)}`,
+                redirect_url: redirectUrl || null,
+                sandbox: true
+            };
+            checkouts.set(orderId, checkout);
+
+            if (autoConfirmSeconds > 0) {
+                const delayMs = autoConfirmSeconds * 1000;
+                setTimeout(() => {
+                    deliver(checkouts.get(orderId), 'confirming')
+                        .then(() => new Promise(resolve => setTimeout(resolve, delayMs)))
+                        .then(() => deliver(checkouts.get(orderId), 'finished'));
+                }, delayMs).unref();
+            }
+
+            return {
+                ok: true,
+                status: checkout.payment_status,
+                providerPaymentId: checkout.payment_id,
+                payAmount: checkout.pay_amount,
+                payCurrency,
+                paymentUrl: checkout.payment_url,
+                response: checkout
+            };
+        },
+
+        verifyWebhook(req) {
+            const body = req.body;
+            if (req.headers['x-sandbox-signature'] !== sign(body)) return null;
+            return {
+                orderId: body.order_id,
+                providerPaymentId: body.payment_id,
+                status: body.payment_status,
+                payAmount: body.pay_amount,
+                actuallyPaid: body.actually_paid,
+                payCurrency: body.pay_currency,
+                amountPaid: body.price_amount,
+                payload: body
+            };
+        },
+
+        async getPaymentStatus(payment) {
+            const checkout = checkouts.get(payment.order_id) || fromLedger(payment);
+            return {
+                status: checkout.payment_status,
+                providerPaymentId: checkout.payment_id,
+                payAmount: checkout.pay_amount,
+                actuallyPaid: checkout.actually_paid,
+                payCurrency: checkout.pay_currency,
+                amountPaid: checkout.price_amount,
+                payload: checkout
+            };
+        },
+
+        async refund(payment) {
+            const checkout = checkouts.get(payment.order_id) || fromLedger(payment);
+            checkouts.set(payment.order_id, { ...checkout, payment_status: 'refunded' });
+            return { ok: true, message: 'Sandbox refund sent.' };
+        },
+
+        /**
+         * Moves a checkout to `status` and delivers the webhook for it.
+         * @param {object} payment - Row from payments.
+         * @param {string} status
+         * @param {object} [options]
+         * @param {number} [options.actuallyPaid] - Defaults to the full amount for paid statuses
+         *        and half of it for partially_paid.
+         * @returns {Promise<object>} The webhook body sent, with webhook_delivered.
+         */
+        async simulate(payment, status, { actuallyPaid } = {}) {
+            const checkout = checkouts.get(payment.order_id) || fromLedger(payment);
+            const paid = actuallyPaid ?? (status === 'partially_paid' ? checkout.pay_amount / 2 : undefined);
+            return deliver(checkout, status, paid);
+        }
+    };
+}
+
+/**
+ * Every provider, keyed by the name stored in payments.provider. With
+ * PAYMENT_SANDBOX=true the sandbox is added and takes every new checkout
+ * (see getCheckoutProvider); it is never enabled when NODE_ENV=production.
+ * @returns {object}
+ */
+export function createPaymentProviders() {
+    const providers = {
+        nowpayments: createNowPaymentsProvider(),
+        transfi: createTransfiProvider()
+    };
+    if (process.env.PAYMENT_SANDBOX === 'true') {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('PAYMENT_SANDBOX is ignored in production.');
+        } else {
+            providers.sandbox = createSandboxProvider();
+            console.warn('Payments are using the sandbox provider: no real money moves.');
+        }
+    }
+    return providers;
+}
+
+/**
+ * The provider new checkouts of a kind go to.
+ * @param {object} providers - From createPaymentProviders().
+ * @param {'crypto'|'fiat'} kind
+ * @returns {object} Provider
+ */
+export function getCheckoutProvider(providers, kind) {
+    if (providers.sandbox) return providers.sandbox;
+    return kind === 'fiat' ? providers.transfi : providers.nowpayments;
+}
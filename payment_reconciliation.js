@@ -0,0 +1,113 @@
+// payment_reconciliation.js
+// Catches payments whose webhook never reached us (server down, network error).
+// Recent pending orders are looked up at the provider and the authoritative
+// status is applied exactly as the webhook would have applied it.
+//
+// Lookups go through the providers in payment_providers.js; with the sandbox
+// provider the job runs entirely offline. Providers without getPaymentStatus()
+// (TransFi) are skipped: their orders only change through webhooks.
+
+import { recordPaymentEvent } from './payments_ledger.js';
+import { applyPaymentStatus, DEAD_PAYMENT_STATUSES } from './payment_outcomes.js';
+
+// Ledger statuses for which there is nothing left to ask the provider.
+// 'refunding' is an admin refund in progress, finished by refunding again (see payment_refunds.js).
+const SETTLED_PAYMENT_STATUSES = ['creation_failed', 'refunding', 'refunded', ...DEAD_PAYMENT_STATUSES];
+
+/**
+ * Fetches one order's status from its provider, records it in the ledger if it
+ * changed and applies it. Completed and refunded statuses are applied even when
+ * unchanged, in case the webhook was recorded but its activation failed.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} providers - From createPaymentProviders().
+ * @param {string} orderId
+ * @returns {Promise<{orderId: string, previousStatus?: string, status?: string, outcome: string}>}
+ *          outcome is an applyPaymentStatus() result, 'not_found', 'unsupported_provider' (unknown
+ *          provider, or one without status lookups) or 'not_created'.
+ */
+export async function reconcileOrder(pool, providers, orderId) {
+    const { rows } = await pool.query('SELECT * FROM payments WHERE order_id = $1', [orderId]);
+    if (rows.length === 0) return { orderId, outcome: 'not_found' };
+    const payment = rows[0];
+
+    const provider = providers[payment.provider];
+    if (!provider || !provider.getPaymentStatus) return { orderId, previousStatus: payment.payment_status, outcome: 'unsupported_provider' };
+    // The checkout never reached the provider, so there is nothing to look up
+    if (!payment.provider_payment_id) return { orderId, previousStatus: payment.payment_status, outcome: 'not_created' };
+
+    const remote = await provider.getPaymentStatus(payment);
+    const changed = remote.status !== payment.payment_status;
+
+    if (changed) {
+        await recordPaymentEvent(pool, {
+            provider: payment.provider,
+            orderId,
+            providerPaymentId: remote.providerPaymentId,
+            status: remote.status,
+            payAmount: remote.payAmount,
+            actuallyPaid: remote.actuallyPaid,
+            payCurrency: remote.payCurrency,
+            payload: remote.payload,
+            source: 'reconciliation'
+        });
+    }
+
+    const outcome = await applyPaymentStatus(pool, {
+        provider: payment.provider,
+        orderId,
+        providerPaymentId: remote.providerPaymentId || payment.provider_payment_id,
+        status: remote.status,
+        amountPaid: remote.amountPaid,
+        // Users were already told about this status when it was first recorded
+        notify: changed
+    });
+
+    return { orderId, previousStatus: payment.payment_status, status: remote.status, outcome };
+}
+
+/**
+ * Scheduled job: reconciles every order that is still pending (or a renewal not
+ * activated yet, or a gift whose voucher is not issued yet) and whose last
+ * payment attempt is within the lookback window. One failing lookup does not stop the others.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} providers - From createPaymentProviders().
+ * @param {object} [options]
+ * @param {number} [options.lookbackHours=48]
+ * @returns {Promise<{checked: number, activated: number, failed: number}>}
+ */
+export async function reconcilePendingPayments(pool, providers, { lookbackHours = 48 } = {}) {
+    const lookupProviders = Object.keys(providers).filter(name => providers[name].getPaymentStatus);
+    const { rows } = await pool.query(
+        `SELECT p.order_id
+         FROM payments p
+         LEFT JOIN users u ON u.order_id = p.order_id
+         LEFT JOIN vouchers v ON v.order_id = p.order_id
+         WHERE (u.subscription_status = 'pending'
+                OR (p.is_renewal AND NOT EXISTS (SELECT 1 FROM payment_activations a WHERE a.order_id = p.order_id))
+                OR v.status = 'pending')
+           AND COALESCE(u.last_payment_attempt, p.created_at) > NOW() - make_interval(hours => $1::int)
+           AND p.provider_payment_id IS NOT NULL
+           AND p.payment_status <> ALL($2)
+           AND p.provider = ANY($3)
+         ORDER BY COALESCE(u.last_payment_attempt, p.created_at)`,
+        [lookbackHours, SETTLED_PAYMENT_STATUSES, lookupProviders]
+    );
+
+    const summary = { checked: 0, activated: 0, failed: 0 };
+    for (const { order_id } of rows) {
+        summary.checked += 1;
+        try {
+            const result = await reconcileOrder(pool, providers, order_id);
+            if (result.outcome === 'activated' || result.outcome === 'voucher_issued') {
+                summary.activated += 1;
+                console.log(`Reconciliation: activated order ${order_id} (missed webhook, provider status ${result.status}).`);
+            }
+        } catch (err) {
+            summary.failed += 1;
+            console.error(`Reconciliation: failed to check order ${order_id}:`, err.message);
+        }
+    }
+    return summary;
+}
@@ -0,0 +1,82 @@
+// payment_refunds.js
+// Admin refunds: sends the money back through the payment's provider, takes
+// back what the payment granted (the subscription, or a gift's voucher) and
+// marks the payment refunded in the ledger.
+//
+// The payment is claimed ('refunding') before the provider is called, so a
+// double click or a second admin cannot refund it twice. Once the provider has
+// answered, its answer is stored on the payment (provider_refund). If a later
+// step fails the payment stays 'refunding' with that answer, and refunding it
+// again picks up from there without asking the provider a second time.
+
+import { recordPaymentEvent } from './payments_ledger.js';
+import { COMPLETED_PAYMENT_STATUSES } from './payment_outcomes.js';
+import { revokeSubscription } from './subscription_activation.js';
+import { voidGiftVoucher } from './vouchers.js';
+
+/**
+ * Refunds one payment, or finishes a refund whose provider step already ran.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} providers - From createPaymentProviders().
+ * @param {string|number} paymentId - payments.id
+ * @param {object} refund
+ * @param {string} refund.reason - Kept in the ledger entry.
+ * @param {string} refund.refundedBy - The admin's username.
+ * @returns {Promise<{status: 'refunded'|'incomplete'|'not_found'|'not_refundable'|'already_refunded'|'in_progress',
+ *          payment?: object, access?: string, providerRefund?: {ok: boolean, message: string}, reversal?: object|null, error?: string}>}
+ *          'incomplete' means the provider step is done but access was not taken back or the
+ *          refund not recorded; calling again finishes it. 'in_progress' is a refund whose
+ *          provider call has not answered yet. Provider errors are thrown, with the claim undone.
+ */
+export async function refundPayment(pool, providers, paymentId, { reason, refundedBy }) {
+    const { rows } = await pool.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    if (rows.length === 0) return { status: 'not_found' };
+
+    const claimed = await pool.query(
+        `UPDATE payments SET payment_status = 'refunding', updated_at = NOW()
+         WHERE id = $1 AND (payment_status = ANY($2) OR (payment_status = 'refunding' AND provider_refund IS NOT NULL))
+         RETURNING *`,
+        [paymentId, COMPLETED_PAYMENT_STATUSES[rows[0].provider] || []]
+    );
+    if (claimed.rows.length === 0) {
+        if (rows[0].payment_status === 'refunded') return { status: 'already_refunded' };
+        if (rows[0].payment_status === 'refunding') return { status: 'in_progress' };
+        return { status: 'not_refundable', payment: rows[0] };
+    }
+    const payment = rows[0];
+
+    let providerRefund = claimed.rows[0].provider_refund;
+    if (!providerRefund) {
+        const provider = providers[payment.provider];
+        try {
+            providerRefund = provider && payment.provider_payment_id
+                ? await provider.refund(payment, { reason })
+                : { ok: false, message: 'Nothing was charged through a provider, so no money is returned.' };
+        } catch (err) {
+            // Nothing was refunded: the payment can be refunded again
+            await pool.query("UPDATE payments SET payment_status = $2 WHERE id = $1 AND payment_status = 'refunding'", [payment.id, payment.payment_status]);
+            throw err;
+        }
+        await pool.query('UPDATE payments SET provider_refund = $2 WHERE id = $1', [payment.id, JSON.stringify(providerRefund)]);
+    }
+
+    try {
+        // A gift bought a voucher, not a subscription: voiding the voucher is what takes the access back
+        const giftOutcome = payment.is_gift ? await voidGiftVoucher(pool, payment.order_id) : null;
+        const result = giftOutcome
+            ? { status: giftOutcome }
+            : await revokeSubscription(pool, { provider: payment.provider, orderId: payment.order_id, reason: 'admin_refund' });
+        await recordPaymentEvent(pool, {
+            provider: payment.provider,
+            orderId: payment.order_id,
+            status: 'refunded',
+            payload: { refunded_by: refundedBy, reason, provider_refund: providerRefund },
+            source: 'admin'
+        });
+        return { status: 'refunded', payment, access: result.status, providerRefund, reversal: result.reversal || null };
+    } catch (err) {
+        console.error(`Refund of payment ${payment.id} stopped after the provider step:`, err);
+        return { status: 'incomplete', payment, providerRefund, error: err.message };
+    }
+}
@@ -0,0 +1,136 @@
+// payments_ledger.js
+// Keeps the `payments` table in step with every checkout we start and every
+// webhook a provider sends about it. One row per order_id; the latest webhook
+// body is in ipn_payload and every webhook ever received is kept in ipn_history.
+
+// How far along a payment is, by status (NOWPayments' and TransFi's names).
+// Webhooks can arrive out of order, so a payment's status only ever moves to an
+// equal or higher rank: a late 'confirming' cannot undo 'finished', while a
+// refund still overrides a completed payment. Unknown statuses rank 0.
+export const PAYMENT_STATUS_RANK = {
+    initiated: 0,
+    created: 1,
+    waiting: 1,
+    pending: 1,
+    confirming: 2,
+    processing: 2,
+    partially_paid: 3,
+    sending: 4,
+    failed: 5,
+    expired: 5,
+    confirmed: 6,
+    finished: 6,
+    completed: 6,
+    successful: 6,
+    refunding: 7,
+    refunded: 8
+};
+
+/**
+ * Records a checkout before the provider is called, so failed attempts are kept too.
+ * @param {import('pg').Pool} pool
+ * @param {object} attempt - { provider, orderId, userId, telegramHandle, planName, planId, priceAmount, priceCurrency, payCurrency, source, couponCode, isRenewal, planChange, isGift, quoteId }
+ *        planId is the plan version sold; priceAmount is what the buyer is charged for it, after coupons and credit.
+ *        quoteId is the price quote the checkout redeemed (see price_quotes.js).
+ *        planChange is a quote from plan_changes.js when the checkout moves the user from another plan.
+ *        isGift marks a checkout that pays for a voucher (see vouchers.js); it has no userId.
+ * @returns {Promise<object|null>} The new payments row, or null when another checkout already
+ *          redeemed the same quote (payments.quote_id is unique).
+ */
+export async function recordPaymentAttempt(pool, attempt) {
+    const planChange = attempt.planChange || null;
+    const { rows } = await pool.query(
+        `INSERT INTO payments (provider, order_id, user_id, telegram_handle, plan_name, price_amount, price_currency, pay_currency, source, coupon_code, is_renewal,
+                               plan_change_from_user_id, proration_credit, plan_change_extra_days, plan_id, is_gift, quote_id, payment_status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 'initiated')
+         ON CONFLICT (quote_id) WHERE quote_id IS NOT NULL DO NOTHING
+         RETURNING *`,
+        [
+            attempt.provider,
+            attempt.orderId,
+            attempt.userId || null,
+            attempt.telegramHandle,
+            attempt.planName,
+            attempt.priceAmount,
+            attempt.priceCurrency || 'usd',
+            attempt.payCurrency || null,
+            attempt.source,
+            attempt.couponCode || null,
+            !!attempt.isRenewal,
+            planChange ? planChange.fromUserId : null,
+            planChange ? planChange.credit : null,
+            planChange ? planChange.extraDays : 0,
+            attempt.planId || null,
+            !!attempt.isGift,
+            attempt.quoteId || null
+        ]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Stores what the provider answered when the checkout was created.
+ * @param {import('pg').Pool} pool
+ * @param {string} orderId
+ * @param {object} result - { status, providerPaymentId, payAmount, payCurrency, response }
+ */
+export async function recordPaymentCreated(pool, orderId, { status, providerPaymentId = null, payAmount = null, payCurrency = null, response = null }) {
+    await pool.query(
+        `UPDATE payments
+         SET payment_status = $2,
+             provider_payment_id = COALESCE($3, provider_payment_id),
+             nowpayments_payment_id = CASE WHEN provider = 'nowpayments' THEN COALESCE($3, nowpayments_payment_id) ELSE nowpayments_payment_id END,
+             pay_amount = COALESCE($4, pay_amount),
+             pay_currency = COALESCE($5, pay_currency),
+             provider_response = $6,
+             updated_at = NOW()
+         WHERE order_id = $1`,
+        [orderId, status, providerPaymentId ? String(providerPaymentId) : null, payAmount, payCurrency, response ? JSON.stringify(response) : null]
+    );
+}
+
+/**
+ * Applies a webhook to the payment it belongs to and appends it to the history.
+ * The status and latest payload only change if the webhook does not move the
+ * payment backwards (see PAYMENT_STATUS_RANK); the history gets every webhook.
+ * Creates the row if the checkout predates the ledger.
+ * @param {import('pg').Pool} pool
+ * @param {object} event - { provider, orderId, providerPaymentId, status, payAmount, actuallyPaid, payCurrency, payload, source }
+ *        source is 'webhook' (default) or 'reconciliation' when the status was fetched from the provider's API.
+ */
+export async function recordPaymentEvent(pool, { provider, orderId, providerPaymentId = null, status, payAmount = null, actuallyPaid = null, payCurrency = null, payload, source = 'webhook' }) {
+    const entry = JSON.stringify([{ received_at: new Date().toISOString(), status, source, payload }]);
+    const paymentId = providerPaymentId ? String(providerPaymentId) : null;
+
+    const { rowCount } = await pool.query(
+        `WITH current AS (
+             SELECT id, $9::int >= COALESCE(($10::jsonb ->> payment_status)::int, 0) AS forward
+             FROM payments
+             WHERE order_id = $1
+         )
+         UPDATE payments
+         SET payment_status = CASE WHEN current.forward THEN $2 ELSE payment_status END,
+             provider_payment_id = COALESCE($3, provider_payment_id),
+             nowpayments_payment_id = CASE WHEN provider = 'nowpayments' THEN COALESCE($3, nowpayments_payment_id) ELSE nowpayments_payment_id END,
+             pay_amount = COALESCE($4, pay_amount),
+             pay_currency = COALESCE($5, pay_currency),
+             ipn_payload = CASE WHEN current.forward THEN $6::jsonb ELSE ipn_payload END,
+             ipn_history = COALESCE(ipn_history, '[]'::jsonb) || $7::jsonb,
+             actually_paid = COALESCE($8, actually_paid),
+             updated_at = NOW()
+         FROM current
+         WHERE payments.id = current.id`,
+        [orderId, status, paymentId, payAmount, payCurrency, JSON.stringify(payload), entry, actuallyPaid,
+            PAYMENT_STATUS_RANK[status] || 0, JSON.stringify(PAYMENT_STATUS_RANK)]
+    );
+    if (rowCount > 0) return;
+
+    await pool.query(
+        `INSERT INTO payments (provider, order_id, user_id, telegram_handle, plan_name, provider_payment_id, nowpayments_payment_id, pay_amount, pay_currency, payment_status, ipn_payload, ipn_history, actually_paid)
+         SELECT $1, $2, u.id, u.telegram_handle, u.plan_name, $3, CASE WHEN $1 = 'nowpayments' THEN $3 END, $4, $5, $6, $7, $8::jsonb, $9
+         FROM (SELECT 1) AS one
+         LEFT JOIN users u ON u.order_id = $2
+         ON CONFLICT (order_id) DO NOTHING`,
+        [provider, orderId, paymentId, payAmount, payCurrency, status, JSON.stringify(payload), entry, actuallyPaid]
+    );
+}
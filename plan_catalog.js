@@ -0,0 +1,144 @@
+// plan_catalog.js
+// Plans are versioned and never deleted (see migrate_plan_versions.sql). The
+// version on sale is the one that is not archived; older versions stay in
+// pricingplans for the users and payments that point at them by id.
+
+// Changing any of these on a plan that is on sale creates a new version, so
+// people who already bought it keep the terms they paid for.
+const VERSIONED_FIELDS = ['price', 'term', 'duration_unit', 'duration_value'];
+
+/**
+ * The version of a plan currently on sale, by name.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} planName
+ * @returns {Promise<object|null>}
+ */
+export async function getCurrentPlanByName(db, planName) {
+    const { rows } = await db.query('SELECT * FROM pricingplans WHERE plan_name = $1 AND NOT is_archived', [planName]);
+    return rows[0] || null;
+}
+
+/**
+ * A plan version by id, archived or not.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number|string} planId
+ * @returns {Promise<object|null>}
+ */
+export async function getPlanById(db, planId) {
+    if (!planId) return null;
+    const { rows } = await db.query('SELECT * FROM pricingplans WHERE id = $1', [planId]);
+    return rows[0] || null;
+}
+
+/**
+ * The plan version a user is on. Rows from before plan ids were recorded fall
+ * back to the current version with the user's plan name.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} user - Row from users.
+ * @returns {Promise<object|null>}
+ */
+export async function getUserPlan(db, user) {
+    return (await getPlanById(db, user.plan_id)) || getCurrentPlanByName(db, user.plan_name);
+}
+
+const normalize = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (field === 'price' || field === 'duration_value') return Number(value);
+    return String(value);
+};
+
+/**
+ * Saves an admin's edit of a plan version that is on sale. Descriptive fields
+ * are updated in place; a change to price, term or duration archives this
+ * version and creates the next one. A new name applies to every version of the
+ * plan and to the users on it, since plan_name is how a plan is shown.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {number|string} planId
+ * @param {object} changes - Columns of pricingplans as sent by the pricing form.
+ * @returns {Promise<{status: 'not_found'|'archived'|'name_taken'|'updated'|'versioned', before?: object, plan?: object}>}
+ *          name_taken: another plan on sale already has the new name.
+ */
+export async function updatePlan(pool, planId, changes) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query('SELECT * FROM pricingplans WHERE id = $1 FOR UPDATE', [planId]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { status: 'not_found' };
+        }
+        const before = rows[0];
+        if (before.is_archived) {
+            await client.query('ROLLBACK');
+            return { status: 'archived', before };
+        }
+
+        if (changes.plan_name && changes.plan_name !== before.plan_name) {
+            const taken = await client.query(
+                'SELECT 1 FROM pricingplans WHERE plan_name = $1 AND NOT is_archived AND plan_family_id <> $2',
+                [changes.plan_name, before.plan_family_id]
+            );
+            if (taken.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { status: 'name_taken', before };
+            }
+            await client.query('UPDATE pricingplans SET plan_name = $1 WHERE plan_family_id = $2', [changes.plan_name, before.plan_family_id]);
+            await client.query(
+                'UPDATE users SET plan_name = $1 WHERE plan_id IN (SELECT id FROM pricingplans WHERE plan_family_id = $2)',
+                [changes.plan_name, before.plan_family_id]
+            );
+        }
+
+        const fields = {
+            plan_name: changes.plan_name || before.plan_name,
+            price: changes.price,
+            term: changes.term,
+            description: changes.description,
+            features: changes.features,
+            is_best_value: changes.is_best_value,
+            telegram_group_id: changes.telegram_group_id,
+            commission_rate: changes.commission_rate ?? before.commission_rate,
+            duration_unit: changes.duration_unit,
+            duration_value: changes.duration_unit === 'lifetime' ? null : changes.duration_value,
+            is_trial: !!changes.is_trial
+        };
+        const versioned = VERSIONED_FIELDS.some(field => normalize(field, fields[field]) !== normalize(field, before[field]));
+
+        let plan;
+        if (versioned) {
+            await client.query('UPDATE pricingplans SET is_archived = true, archived_at = NOW() WHERE id = $1', [before.id]);
+            const inserted = await client.query(
+                `INSERT INTO pricingplans (plan_name, price, term, description, features, is_best_value, telegram_group_id, commission_rate,
+                                           duration_unit, duration_value, is_trial, version, plan_family_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                 RETURNING *`,
+                [
+                    fields.plan_name, fields.price, fields.term, fields.description, fields.features, fields.is_best_value,
+                    fields.telegram_group_id, fields.commission_rate, fields.duration_unit, fields.duration_value, fields.is_trial,
+                    before.version + 1, before.plan_family_id
+                ]
+            );
+            plan = inserted.rows[0];
+            await client.query('UPDATE pricingplans SET superseded_by = $1 WHERE id = $2', [plan.id, before.id]);
+        } else {
+            const updated = await client.query(
+                `UPDATE pricingplans
+                 SET plan_name = $1, description = $2, features = $3, is_best_value = $4, telegram_group_id = $5, commission_rate = $6, is_trial = $7
+                 WHERE id = $8
+                 RETURNING *`,
+                [fields.plan_name, fields.description, fields.features, fields.is_best_value, fields.telegram_group_id, fields.commission_rate, fields.is_trial, before.id]
+            );
+            plan = updated.rows[0];
+        }
+
+        await client.query('COMMIT');
+        return { status: versioned ? 'versioned' : 'updated', before, plan };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
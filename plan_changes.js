@@ -0,0 +1,78 @@
+// plan_changes.js
+// Upgrades and downgrades. A subscriber who buys a different plan is moving,
+// not adding a second one: the unused part of the current plan is credited
+// against the new price and only the difference is charged. On activation
+// (see subscription_activation.js) the old subscription ends and the user is
+// moved from the old plan's Telegram group to the new one.
+
+import { getPlanTermDays } from './plan_durations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Prices moving a subscriber to `targetPlan`. The credit is what the user paid
+ * for the current plan's term, per day, times the days left (renewals stacked
+ * on top count too); a lifetime plan is credited at what was paid for it. What
+ * was paid is the latest activation that was not refunded, including any credit
+ * it was itself bought with, never more than the list price; subscriptions
+ * without one (vouchers, payments from before the activation log) are credited
+ * at the list price. When the credit is larger than
+ * the new price, the surplus becomes extra days on the new plan instead of a
+ * refund (none for a lifetime target, which never ends anyway).
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} options
+ * @param {string} options.telegramHandle - Handle used for the checkout (with or without '@').
+ * @param {object} options.targetPlan - Row from pricingplans the user is moving to.
+ * @param {number} options.newPrice - USD price of the new plan after any coupon.
+ * @returns {Promise<object|null>} null when the user has no other active plan, otherwise
+ *          { fromUserId, fromPlanName, remainingDays, credit, newPrice, amountDue, extraDays }.
+ */
+export async function quotePlanChange(pool, { telegramHandle, targetPlan, newPrice }) {
+    const { rows } = await pool.query(
+        `SELECT u.id, u.plan_name, u.subscription_expiration, p.price, p.duration_unit, p.duration_value,
+                LEAST(paid.amount, p.price) AS amount_paid
+         FROM users u
+         JOIN pricingplans p ON p.id = u.plan_id
+         LEFT JOIN LATERAL (
+             SELECT a.amount_paid + COALESCE(pay.proration_credit, 0) AS amount
+             FROM payment_activations a
+             LEFT JOIN payments pay ON pay.order_id = a.order_id
+             WHERE a.user_id = u.id AND a.revoked_at IS NULL AND a.amount_paid IS NOT NULL
+             ORDER BY a.created_at DESC
+             LIMIT 1
+         ) paid ON true
+         WHERE LOWER(REPLACE(u.telegram_handle, '@', '')) = LOWER(REPLACE($1, '@', ''))
+           AND u.plan_name <> $2
+           AND u.subscription_status = 'active'
+           AND u.subscription_expiration > NOW()
+         ORDER BY u.subscription_expiration DESC
+         LIMIT 1`,
+        [telegramHandle.trim(), targetPlan.plan_name]
+    );
+    if (rows.length === 0) return null;
+    const current = rows[0];
+
+    const remainingDays = Math.max(0, Math.ceil((new Date(current.subscription_expiration) - new Date()) / DAY_MS));
+    const currentPrice = current.amount_paid !== null ? parseFloat(current.amount_paid) || 0 : parseFloat(current.price) || 0;
+    const currentTermDays = getPlanTermDays(current);
+    const credit = roundCents(currentTermDays ? remainingDays * (currentPrice / currentTermDays) : currentPrice);
+
+    const amountDue = roundCents(Math.max(0, newPrice - credit));
+    const surplus = Math.max(0, credit - newPrice);
+    const targetTermDays = getPlanTermDays(targetPlan);
+    const targetDailyValue = targetTermDays ? (parseFloat(targetPlan.price) || 0) / targetTermDays : 0;
+    const extraDays = surplus > 0 && targetDailyValue > 0 ? Math.floor(surplus / targetDailyValue) : 0;
+
+    return {
+        fromUserId: current.id,
+        fromPlanName: current.plan_name,
+        remainingDays,
+        credit,
+        newPrice: roundCents(newPrice),
+        amountDue,
+        extraDays
+    };
+}
@@ -0,0 +1,68 @@
+// plan_durations.js
+// How long a plan runs. Every plan has a duration_unit ('days', 'months' or
+// 'lifetime') and a duration_value, edited on the admin pricing page; the
+// free-text term column is only a label. Everything that computes an end date
+// (activation, renewals, plan changes, the startup adjustment) goes through here.
+
+export const DURATION_UNITS = ['days', 'months', 'lifetime'];
+
+// subscription_expiration of a lifetime plan. A real date keeps every
+// "subscription_expiration > NOW()" check and the expiry cron working unchanged.
+export const LIFETIME_EXPIRATION = '9999-12-31';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The duration of a plan. Plans saved before durations existed count as one month.
+ * @param {object} plan - Row from pricingplans.
+ * @returns {{unit: 'days'|'months'|'lifetime', value: number|null}}
+ */
+export function getPlanDuration(plan) {
+    const unit = DURATION_UNITS.includes(plan.duration_unit) ? plan.duration_unit : 'months';
+    if (unit === 'lifetime') return { unit, value: null };
+    return { unit, value: parseInt(plan.duration_value, 10) || 1 };
+}
+
+/**
+ * Checks a duration sent by the admin pricing form.
+ * @param {string} unit
+ * @param {*} value
+ * @returns {string|null} An error message, or null if the duration is valid.
+ */
+export function validatePlanDuration(unit, value) {
+    if (!DURATION_UNITS.includes(unit)) return `duration_unit must be one of ${DURATION_UNITS.join(', ')}.`;
+    if (unit === 'lifetime') return null;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) return 'duration_value must be a whole number of at least 1.';
+    return null;
+}
+
+/**
+ * End date of one term of the plan starting at `start`, plus any extra days.
+ * @param {Date|string} start
+ * @param {object} plan - Row from pricingplans.
+ * @param {number} [extraDays=0]
+ * @returns {string} 'YYYY-MM-DD', or LIFETIME_EXPIRATION for lifetime plans.
+ */
+export function addPlanDuration(start, plan, extraDays = 0) {
+    const { unit, value } = getPlanDuration(plan);
+    if (unit === 'lifetime') return LIFETIME_EXPIRATION;
+
+    const end = new Date(start);
+    if (unit === 'months') end.setMonth(end.getMonth() + value);
+    else end.setDate(end.getDate() + value);
+    end.setDate(end.getDate() + extraDays);
+    return end.toISOString().split('T')[0];
+}
+
+/**
+ * Length of one term of the plan in days, counted from today.
+ * @param {object} plan - Row from pricingplans.
+ * @returns {number|null} null for lifetime plans.
+ */
+export function getPlanTermDays(plan) {
+    const { unit } = getPlanDuration(plan);
+    if (unit === 'lifetime') return null;
+    const today = new Date().toISOString().split('T')[0];
+    return Math.round((new Date(addPlanDuration(today, plan)) - new Date(today)) / DAY_MS);
+}
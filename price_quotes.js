@@ -0,0 +1,60 @@
+// price_quotes.js
+// Checkout prices are worked out on the server, once, before the checkout
+// starts: plan, coupon, renewal or plan change credit and the currency give a
+// quote (see POST /api/payments/quote in server.js). The quote is signed with
+// PRICE_QUOTE_SECRET and expires after a few minutes; the checkout routes take
+// the price from the quote they are handed and never from the client.
+//
+// A quote is a token of the form <payload>.<signature>: the payload is the
+// base64url JSON of the quote, the signature its base64url HMAC-SHA256.
+
+import crypto from 'crypto';
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Signs a quote.
+ * @param {object} quote - What the checkout will charge; see the quote route in server.js.
+ * @param {string} secret
+ * @param {number} ttlMinutes - How long the quote can be redeemed.
+ * @returns {{token: string, quote: object}} quote as signed, with its id and expiresAt.
+ */
+export function signPriceQuote(quote, secret, ttlMinutes) {
+    const signed = {
+        ...quote,
+        id: crypto.randomBytes(12).toString('hex'),
+        expiresAt: Date.now() + Math.round(ttlMinutes * 60 * 1000)
+    };
+    const payload = Buffer.from(JSON.stringify(signed)).toString('base64url');
+    return { token: `${payload}.${sign(payload, secret)}`, quote: signed };
+}
+
+/**
+ * Checks a quote token handed back by a client.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{status: 'valid', quote: object}|{status: 'invalid'|'expired'}} 'invalid' covers
+ *          anything that is not a token we signed, including edited ones.
+ */
+export function verifyPriceQuote(token, secret) {
+    if (typeof token !== 'string') return { status: 'invalid' };
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return { status: 'invalid' };
+
+    // Byte lengths, not string lengths: timingSafeEqual throws on buffers of different sizes
+    const expected = sign(payload, secret);
+    if (Buffer.byteLength(signature) !== Buffer.byteLength(expected)
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return { status: 'invalid' };
+    }
+
+    let quote;
+    try {
+        quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return { status: 'invalid' };
+    }
+    if (!quote || typeof quote.expiresAt !== 'number') return { status: 'invalid' };
+    if (quote.expiresAt <= Date.now()) return { status: 'expired' };
+    return { status: 'valid', quote };
+}
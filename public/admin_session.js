@@ -0,0 +1,156 @@
+// admin_session.js
+// Shared by every admin page. Holds the session token issued by POST /api/login,
+// attaches it to admin API calls and sends the user back to the login screen
+// whenever the server answers 401 (missing, expired or revoked session), or to
+// the account page when the server says account setup is unfinished.
+
+const ADMIN_TOKEN_KEY = 'adminToken';
+const ADMIN_USER_KEY = 'user';
+const ADMIN_LOGIN_URL = '/admin';
+const ADMIN_ACCOUNT_URL = '/admin/account';
+
+function getAdminToken() {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+}
+
+function getAdminUser() {
+    try {
+        return JSON.parse(sessionStorage.getItem(ADMIN_USER_KEY));
+    } catch (err) {
+        return null;
+    }
+}
+
+function saveAdminSession(token, user) {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    sessionStorage.setItem(ADMIN_USER_KEY, JSON.stringify(user));
+}
+
+function clearAdminSession() {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    sessionStorage.removeItem(ADMIN_USER_KEY);
+}
+
+// Redirects to the login screen when there is no session in this tab.
+function requireAdminLogin() {
+    if (!getAdminToken()) {
+        window.location.href = ADMIN_LOGIN_URL;
+    }
+}
+
+// Drop-in replacement for fetch() on admin API calls.
+async function adminFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = getAdminToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+        clearAdminSession();
+        window.location.href = ADMIN_LOGIN_URL;
+        throw new Error('Your admin session has expired. Please log in again.');
+    }
+    if (response.status === 403 && window.location.pathname !== ADMIN_ACCOUNT_URL) {
+        const body = await response.clone().json().catch(() => ({}));
+        if (body.setup_required) {
+            window.location.href = ADMIN_ACCOUNT_URL;
+            throw new Error(body.message);
+        }
+    }
+    return response;
+}
+
+// Revokes the session on the server, then clears it locally.
+async function adminLogout() {
+    const token = getAdminToken();
+    if (token) {
+        try {
+            await fetch('/api/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+        } catch (err) {
+            console.error('Failed to revoke admin session:', err);
+        }
+    }
+    clearAdminSession();
+    window.location.href = ADMIN_LOGIN_URL;
+}
+
+// Permission each admin page needs (mirrors requirePermission() in server.js).
+const ADMIN_PAGE_PERMISSIONS = {
+    '/admin/dashboard': 'view_users',
+    '/admin/users': 'view_users',
+    '/admin/blogs': 'manage_blogs',
+    '/admin/performance': 'manage_performance',
+    '/admin/pricing': 'manage_pricing',
+    '/admin/roles': 'manage_roles',
+    '/admin/payouts': 'manage_payouts',
+    '/admin/affiliates': 'manage_affiliates',
+    '/admin/notifications': 'manage_notifications',
+    '/admin/audit': 'view_audit_log',
+    '/admin/payments': 'view_payments',
+    '/admin/vouchers': 'manage_vouchers',
+    '/admin/coupons': 'manage_coupons'
+};
+
+function canAccessAdminPage(user, path) {
+    const permission = ADMIN_PAGE_PERMISSIONS[path];
+    return !permission || (user && (user.permissions || []).includes(permission));
+}
+
+// First page in the navigation order the user is allowed to open.
+function firstAdminPage(user) {
+    return Object.keys(ADMIN_PAGE_PERMISSIONS).find(path => canAccessAdminPage(user, path)) || null;
+}
+
+// Where to go after login: the account page while a password change or 2FA
+// enrolment is outstanding, otherwise the first permitted section.
+function adminLandingPage(user, setupRequired) {
+    if (setupRequired && (setupRequired.change_password || setupRequired.enroll_totp)) {
+        return ADMIN_ACCOUNT_URL;
+    }
+    return firstAdminPage(user);
+}
+
+// Hides navigation links (tabs or sidebar entries) the user cannot use.
+function applyAdminNavPermissions(user) {
+    document.querySelectorAll('a[href^="/admin/"]').forEach(link => {
+        if (canAccessAdminPage(user, link.getAttribute('href'))) return;
+        const item = link.closest('li') || link;
+        item.style.display = 'none';
+    });
+}
+
+// On every admin page: refresh the user's permissions from the server, trim the
+// navigation and move away from a page this role cannot use.
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!getAdminToken() || !window.location.pathname.startsWith('/admin/')) return;
+
+    try {
+        const response = await adminFetch('/api/session');
+        if (!response.ok) return;
+        const { user, setup_required } = await response.json();
+        saveAdminSession(getAdminToken(), user);
+        applyAdminNavPermissions(user);
+
+        const currentPath = window.location.pathname.replace(/\/$/, '');
+        if (adminLandingPage(user, setup_required) === ADMIN_ACCOUNT_URL && currentPath !== ADMIN_ACCOUNT_URL) {
+            window.location.href = ADMIN_ACCOUNT_URL;
+            return;
+        }
+        if (!canAccessAdminPage(user, currentPath)) {
+            const fallback = firstAdminPage(user);
+            if (fallback && fallback !== currentPath) {
+                window.location.href = fallback;
+            } else {
+                document.body.innerHTML = '<p style="padding:2rem;text-align:center">Your role does not have access to any admin section. Please contact a super admin.</p>';
+            }
+        }
+    } catch (err) {
+        console.error('Failed to load admin permissions:', err);
+    }
+});
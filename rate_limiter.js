@@ -0,0 +1,118 @@
+// rate_limiter.js
+// In-process rate limiting with temporary lockouts. State lives in memory, so
+// limits are per server instance and reset on restart (no Redis required).
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates an Express middleware that limits requests per client IP and per
+ * identity (username, telegram user, ...). Once a key goes over its limit it
+ * is locked out and every further request gets 429 until the lockout ends.
+ *
+ * @param {object} options
+ * @param {string} options.name - Label used in responses, logs and lockout reports.
+ * @param {number} options.windowMs - Length of the counting window.
+ * @param {number} options.maxPerIp - Allowed counted requests per IP per window.
+ * @param {number} options.maxPerIdentity - Allowed counted requests per identity per window.
+ * @param {number} options.lockoutMs - How long a key stays locked once over the limit.
+ * @param {function} [options.identity] - (req) => identity string, or null when there is none.
+ * @param {boolean} [options.failuresOnly=false] - Count only responses with a 4xx status
+ *        (wrong password, unknown coupon) instead of every request. Each attempt still
+ *        takes its place in the count when it arrives and gives it back once it turns out
+ *        not to be a failure, so a burst of parallel attempts cannot all get past the limit.
+ * @param {boolean} [options.resetOnSuccess=false] - Clear the identity counter after a
+ *        successful response (e.g. a correct login).
+ * @param {function} [options.skipIpLimit] - (req) => true to limit a request by identity only,
+ *        e.g. calls from our own Telegram bot, which all share the server's IP.
+ * @param {function} [options.onLockout] - (req, { limiter, key, attempts, lockedUntil }) => void.
+ * @returns {function} Express middleware.
+ */
+export function createRateLimiter({
+    name,
+    windowMs,
+    maxPerIp,
+    maxPerIdentity,
+    lockoutMs,
+    identity = () => null,
+    failuresOnly = false,
+    resetOnSuccess = false,
+    skipIpLimit = () => false,
+    onLockout = () => {}
+}) {
+    // key -> { count, windowStart, lockedUntil }
+    const entries = new Map();
+
+    const getEntry = (key, now) => {
+        let entry = entries.get(key);
+        if (!entry || (now - entry.windowStart >= windowMs && entry.lockedUntil <= now)) {
+            entry = { count: 0, windowStart: now, lockedUntil: 0 };
+            entries.set(key, entry);
+        }
+        return entry;
+    };
+
+    // Counts one attempt against a key; returns true if this attempt caused a lockout.
+    const hit = (req, key, max, now) => {
+        const entry = getEntry(key, now);
+        entry.count += 1;
+        if (entry.count > max && entry.lockedUntil <= now) {
+            entry.lockedUntil = now + lockoutMs;
+            onLockout(req, { limiter: name, key, attempts: entry.count, lockedUntil: new Date(entry.lockedUntil) });
+            return true;
+        }
+        return false;
+    };
+
+    const sendTooManyRequests = (res, retryAfterMs) => {
+        const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+            message: `Too many attempts. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+            retry_after_seconds: retryAfterSeconds
+        });
+    };
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.lockedUntil <= now && now - entry.windowStart >= windowMs) {
+                entries.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return function rateLimit(req, res, next) {
+        const now = Date.now();
+        const id = identity(req);
+        const keys = [];
+        if (!skipIpLimit(req)) keys.push({ key: `ip:${req.ip}`, max: maxPerIp });
+        if (id) keys.push({ key: `id:${String(id).toLowerCase()}`, max: maxPerIdentity });
+        if (keys.length === 0) return next();
+
+        const retryAfterMs = Math.max(0, ...keys.map(({ key }) => {
+            const entry = entries.get(key);
+            return entry ? entry.lockedUntil - now : 0;
+        }));
+        if (retryAfterMs > 0) {
+            return sendTooManyRequests(res, retryAfterMs);
+        }
+
+        const lockedOut = keys.map(({ key, max }) => hit(req, key, max, now)).some(Boolean);
+        if (lockedOut) return sendTooManyRequests(res, lockoutMs);
+        if (!failuresOnly) return next();
+
+        const counted = keys.map(({ key }) => ({ key, entry: entries.get(key) }));
+        res.on('finish', () => {
+            if (res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429) return;
+            // Not a failure: the attempt no longer counts, unless its window has been reset since
+            counted.forEach(({ key, entry }) => {
+                if (entries.get(key) === entry && entry.count > 0) entry.count -= 1;
+            });
+            if (res.statusCode < 400 && resetOnSuccess && id) {
+                entries.delete(`id:${String(id).toLowerCase()}`);
+            }
+        });
+        next();
+    };
+}
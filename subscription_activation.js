@@ -0,0 +1,505 @@
+// subscription_activation.js
+// The one place where a confirmed payment turns into an active subscription.
+// Every payment webhook (NOWPayments IPN, TransFi) calls activateSubscription(),
+// and revokeSubscription() undoes the access when a payment is refunded.
+
+import { bot, userRegistrationState } from './telegram_bot.js';
+import { addPlanDuration } from './plan_durations.js';
+import { getPlanById, getUserPlan } from './plan_catalog.js';
+import { publishPaymentUpdate } from './payment_events.js';
+import { getCouponDiscount, recordCouponRedemption, releaseCouponRedemption } from './coupons.js';
+
+const BONUS_SALES_THRESHOLD = 15;
+const BONUS_AMOUNT = 100;
+
+// What the referrer earns when a referred user renews early (RENEWAL_COMMISSION_POLICY):
+//   'full'    - the same commission as a first purchase, and the sale counts towards the bonus (default)
+//   'reduced' - RENEWAL_COMMISSION_RATE (default 0.05) of the amount paid, not counted towards the bonus
+//   'none'    - no commission and not counted towards the bonus
+const RENEWAL_COMMISSION_POLICIES = ['full', 'reduced', 'none'];
+
+function getRenewalCommissionPolicy() {
+    const policy = (process.env.RENEWAL_COMMISSION_POLICY || 'full').toLowerCase();
+    if (RENEWAL_COMMISSION_POLICIES.includes(policy)) return policy;
+    console.warn(`Unknown RENEWAL_COMMISSION_POLICY "${policy}"; using "full".`);
+    return 'full';
+}
+
+/**
+ * Whether a payment by this user renews a still-running subscription.
+ * @param {object} user - Row from users.
+ * @returns {boolean}
+ */
+export function isRenewal(user) {
+    const currentExpiration = user.subscription_expiration ? new Date(user.subscription_expiration) : null;
+    return user.subscription_status === 'active' && !!currentExpiration && currentExpiration > new Date();
+}
+
+// A renewal is stacked on the current end date, anything else starts today.
+// extraDays is the surplus credit of a downgrade (see plan_changes.js).
+function calculateNewExpiration(user, plan, extraDays = 0) {
+    const start = isRenewal(user) ? new Date(user.subscription_expiration) : new Date();
+    return addPlanDuration(start, plan, extraDays);
+}
+
+// USD amount the user was charged: the provider's figure when it has one,
+// then the amount recorded for the checkout (zero for a plan change paid
+// entirely by credit), otherwise the plan price less the coupon stored on the user.
+async function resolveAmountPaid(client, user, plan, amountPaid, ledgerPayment) {
+    const reported = parseFloat(amountPaid);
+    if (!isNaN(reported) && reported > 0) return reported;
+    if (ledgerPayment && ledgerPayment.price_amount !== null) return parseFloat(ledgerPayment.price_amount);
+
+    let price = parseFloat(plan.price);
+    if (user.coupon_code) {
+        const couponResult = await client.query(
+            `SELECT c.*, a.max_coupon_discount
+             FROM coupons c
+             LEFT JOIN affiliates a ON a.user_id = c.affiliate_user_id
+             WHERE UPPER(c.code) = UPPER($1)`,
+            [user.coupon_code]
+        );
+        if (couponResult.rows.length > 0) {
+            const coupon = couponResult.rows[0];
+            const maxDiscount = coupon.max_coupon_discount !== null ? parseFloat(coupon.max_coupon_discount) : null;
+            price -= getCouponDiscount(coupon, price, maxDiscount);
+        }
+    }
+    return price;
+}
+
+/**
+ * Credits the referrer of a paying user: referral ledger entry, total earnings
+ * and the affiliate bonus counter. Renewals follow RENEWAL_COMMISSION_POLICY.
+ * The commission is a share of amountPaid, so of the price after any coupon,
+ * including one the affiliate owns. Runs on the caller's transaction.
+ * @returns {Promise<object|null>} What was credited, or null if nothing is owed.
+ */
+async function creditReferralCommission(client, user, plan, amountPaid, renewal) {
+    if (!user.referred_by || !(amountPaid > 0)) return null;
+    const referrerId = user.referred_by;
+    const renewalPolicy = renewal ? getRenewalCommissionPolicy() : null;
+    if (renewalPolicy === 'none') return null;
+
+    // Active affiliates get their custom rate for this plan if it is higher than the plan's default
+    let commissionRate = parseFloat(plan.commission_rate) || 0.10;
+    const affiliateResult = await client.query('SELECT * FROM affiliates WHERE user_id = $1 AND is_active = true', [referrerId]);
+    if (affiliateResult.rows.length > 0) {
+        const affiliate = affiliateResult.rows[0];
+        const planName = user.plan_name.toLowerCase();
+
+        if (planName.includes('basic') && parseFloat(affiliate.basic_commission_rate) > commissionRate) {
+            commissionRate = parseFloat(affiliate.basic_commission_rate);
+        } else if (planName.includes('pro') && parseFloat(affiliate.pro_commission_rate) > commissionRate) {
+            commissionRate = parseFloat(affiliate.pro_commission_rate);
+        } else if (planName.includes('elite') && parseFloat(affiliate.elite_commission_rate) > commissionRate) {
+            commissionRate = parseFloat(affiliate.elite_commission_rate);
+        }
+    }
+
+    if (renewalPolicy === 'reduced') {
+        commissionRate = parseFloat(process.env.RENEWAL_COMMISSION_RATE) || 0.05;
+    }
+
+    const commissionAmount = amountPaid * commissionRate;
+
+    await client.query(
+        'INSERT INTO referrals (referrer_id, referred_user_id, commission_amount) VALUES ($1, $2, $3)',
+        [referrerId, user.id, commissionAmount]
+    );
+    const referrerResult = await client.query(
+        'UPDATE users SET total_referral_earnings = total_referral_earnings + $1 WHERE id = $2 RETURNING total_referral_earnings, telegram_chat_id',
+        [commissionAmount, referrerId]
+    );
+
+    // Every BONUS_SALES_THRESHOLD sales earns the affiliate a fixed bonus, then the counter restarts
+    let bonusAwarded = false;
+    const countedForBonus = !renewalPolicy || renewalPolicy === 'full';
+    if (countedForBonus) {
+        const salesUpdateResult = await client.query(
+            'UPDATE affiliates SET total_sales_for_bonus = total_sales_for_bonus + 1 WHERE user_id = $1 RETURNING total_sales_for_bonus',
+            [referrerId]
+        );
+        if (salesUpdateResult.rows.length > 0 && salesUpdateResult.rows[0].total_sales_for_bonus % BONUS_SALES_THRESHOLD === 0) {
+            await client.query('UPDATE users SET total_referral_earnings = total_referral_earnings + $1 WHERE id = $2', [BONUS_AMOUNT, referrerId]);
+            await client.query('UPDATE affiliates SET total_sales_for_bonus = 0 WHERE user_id = $1', [referrerId]);
+            bonusAwarded = true;
+        }
+    }
+
+    return {
+        referrerId,
+        commissionAmount,
+        bonusAwarded,
+        countedForBonus,
+        referrerChatId: referrerResult.rows.length > 0 ? referrerResult.rows[0].telegram_chat_id : null,
+        totalEarnings: referrerResult.rows.length > 0 ? parseFloat(referrerResult.rows[0].total_referral_earnings) + (bonusAwarded ? BONUS_AMOUNT : 0) : 0
+    };
+}
+
+async function notifyReferrer(pool, commission) {
+    if (!commission || !commission.referrerChatId) return;
+
+    const payoutsResult = await pool.query(
+        "SELECT COALESCE(SUM(amount), 0) as total_payouts FROM payouts WHERE user_id = $1 AND status = 'completed'",
+        [commission.referrerId]
+    );
+    const availableBalance = commission.totalEarnings - parseFloat(payoutsResult.rows[0].total_payouts);
+
+    const event = commission.renewal ? 'A user you referred has renewed their subscription' : 'A new user has subscribed using your referral link';
+    let message = `🎉 Congratulations! ${event}. You've just earned $${commission.commissionAmount.toFixed(2)}!\n\nYour new available balance is $${availableBalance.toFixed(2)}.`;
+    if (commission.bonusAwarded) {
+        message += `\n\n💰 BONUS ALERT! You've made ${BONUS_SALES_THRESHOLD} sales and earned a $${BONUS_AMOUNT} bonus!`;
+    }
+    await bot.sendMessage(commission.referrerChatId, message);
+}
+
+// Bot users finish registration in the chat (name, email), which then issues their invite link.
+// Renewing users are already registered and in the group, so they only get the new end date.
+// Users changing plan are registered too; they get the new group's invite link straight away.
+async function notifyBotUser(user, { renewal, subscriptionExpiration, planChangedFrom, inviteLink }) {
+    if (planChangedFrom) {
+        const state = userRegistrationState[user.telegram_chat_id];
+        if (state && state.orderId === user.order_id) delete userRegistrationState[user.telegram_chat_id];
+        await bot.sendMessage(
+            user.telegram_chat_id,
+            `✅ Plan change confirmed! You have moved from ${planChangedFrom} to ${user.plan_name}, which runs until ${subscriptionExpiration}.\n\nJoin your new VIP group here (this link works once): ${inviteLink}`
+        );
+        return;
+    }
+    if (renewal) {
+        const state = userRegistrationState[user.telegram_chat_id];
+        if (state && state.orderId === user.order_id) delete userRegistrationState[user.telegram_chat_id];
+        await bot.sendMessage(
+            user.telegram_chat_id,
+            `✅ Renewal confirmed! Your ${user.plan_name} plan now runs until ${subscriptionExpiration}.`
+        );
+        return;
+    }
+    userRegistrationState[user.telegram_chat_id] = {
+        orderId: user.order_id,
+        stage: 'awaiting_full_name'
+    };
+    await bot.sendMessage(
+        user.telegram_chat_id,
+        `✅ Payment confirmed! To complete your registration, please provide your full name.`
+    );
+}
+
+/**
+ * Activates the subscription paid for by a confirmed payment, or extends it
+ * when the payment is a renewal of a still-running subscription.
+ *
+ * When the checkout was a plan change (payments.plan_change_from_user_id), the
+ * old subscription ends today, its Telegram ids carry over to the new one and
+ * the user is moved from the old plan's group to the new plan's group.
+ *
+ * Safe to call any number of times for the same provider payment: a row in
+ * payment_activations, unique per (provider, provider_payment_id), is written
+ * in the same transaction as the activation, the invite link and the referral
+ * commission, so re-delivered webhooks never activate or pay out twice.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} payment
+ * @param {string} payment.provider - 'nowpayments', 'transfi', or 'plan_change' when credit covered the whole price.
+ * @param {string} payment.providerPaymentId - The provider's id for this payment.
+ * @param {string} payment.orderId - Our order id (users.order_id).
+ * @param {number} [payment.amountPaid] - USD amount charged, used for the commission.
+ * @returns {Promise<{status: 'activated'|'duplicate'|'not_found', user?: object, subscriptionExpiration?: string, renewal?: boolean, planChangedFrom?: string|null}>}
+ */
+export async function activateSubscription(pool, { provider, providerPaymentId, orderId, amountPaid }) {
+    const client = await pool.connect();
+    let user;
+    let plan;
+    let subscriptionExpiration;
+    let renewal;
+    let inviteLink = null;
+    let previousUser = null;
+    let previousPlan = null;
+    let commission = null;
+
+    try {
+        await client.query('BEGIN');
+
+        const claimResult = await client.query(
+            `INSERT INTO payment_activations (provider, provider_payment_id, order_id)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (provider, provider_payment_id) DO NOTHING
+             RETURNING id`,
+            [provider, String(providerPaymentId || orderId), orderId]
+        );
+        if (claimResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`${provider} payment ${providerPaymentId} for order ${orderId} was already activated; ignoring.`);
+            return { status: 'duplicate' };
+        }
+        const activationId = claimResult.rows[0].id;
+
+        const userResult = await client.query('SELECT * FROM users WHERE order_id = $1 FOR UPDATE', [orderId]);
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.error(`${provider}: No user found for order_id ${orderId}`);
+            return { status: 'not_found' };
+        }
+        user = userResult.rows[0];
+
+        const ledgerResult = await client.query(
+            'SELECT price_amount, plan_id, plan_change_from_user_id, plan_change_extra_days FROM payments WHERE order_id = $1',
+            [orderId]
+        );
+        const ledgerPayment = ledgerResult.rows[0] || null;
+
+        // The plan version that was sold, even if a newer one went on sale since the checkout
+        plan = (ledgerPayment && await getPlanById(client, ledgerPayment.plan_id)) || await getUserPlan(client, user);
+        if (!plan) throw new Error(`Plan details not found for user ${user.id}.`);
+
+        // The subscription being replaced is only ended if it is still running
+        if (ledgerPayment && ledgerPayment.plan_change_from_user_id && ledgerPayment.plan_change_from_user_id !== user.id) {
+            const previousResult = await client.query(
+                `UPDATE users SET subscription_status = 'changed', subscription_expiration = CURRENT_DATE
+                 WHERE id = $1 AND subscription_status = 'active'
+                 RETURNING *`,
+                [ledgerPayment.plan_change_from_user_id]
+            );
+            if (previousResult.rows.length > 0) {
+                previousUser = previousResult.rows[0];
+                previousPlan = await getUserPlan(client, previousUser);
+                const idsResult = await client.query(
+                    `UPDATE users SET telegram_user_id = COALESCE(telegram_user_id, $1), telegram_chat_id = COALESCE(telegram_chat_id, $2)
+                     WHERE id = $3
+                     RETURNING telegram_user_id, telegram_chat_id`,
+                    [previousUser.telegram_user_id, previousUser.telegram_chat_id, user.id]
+                );
+                Object.assign(user, idsResult.rows[0]);
+            }
+        }
+
+        renewal = !previousUser && isRenewal(user);
+        const previousExpiration = renewal ? new Date(user.subscription_expiration).toISOString().split('T')[0] : null;
+        const extraDays = previousUser ? parseInt(ledgerPayment.plan_change_extra_days, 10) || 0 : 0;
+        subscriptionExpiration = calculateNewExpiration(user, plan, extraDays);
+        await client.query(
+            `UPDATE users SET subscription_status = 'active', subscription_expiration = $1, plan_id = $2 WHERE id = $3`,
+            [subscriptionExpiration, plan.id, user.id]
+        );
+
+        // New web users pick up their one-time invite link from the status endpoint;
+        // users changing plan need one for the new group whichever way they paid
+        if (previousUser || (!renewal && !(user.registration_source === 'bot' && user.telegram_chat_id))) {
+            const invite = await bot.createChatInviteLink(plan.telegram_group_id, { member_limit: 1 });
+            inviteLink = invite.invite_link;
+            await client.query('UPDATE users SET telegram_invite_token = $1 WHERE id = $2', [inviteLink, user.id]);
+        }
+
+        await recordCouponRedemption(client, orderId);
+        const resolvedAmount = await resolveAmountPaid(client, user, plan, amountPaid, ledgerPayment);
+        commission = await creditReferralCommission(client, user, plan, resolvedAmount, renewal);
+        if (commission) commission.renewal = renewal;
+
+        await client.query(
+            `UPDATE payment_activations
+             SET user_id = $1, amount_paid = $2, subscription_expiration = $3, invite_link = $4, referrer_id = $5, commission_amount = $6,
+                 bonus_awarded = $7, counted_for_bonus = $8, is_renewal = $9, previous_expiration = $10, plan_changed_from = $11
+             WHERE id = $12`,
+            [
+                user.id, resolvedAmount, subscriptionExpiration, inviteLink,
+                commission ? commission.referrerId : null, commission ? commission.commissionAmount : 0,
+                commission ? commission.bonusAwarded : false, commission ? commission.countedForBonus : false,
+                renewal, previousExpiration, previousUser ? previousUser.plan_name : null, activationId
+            ]
+        );
+
+        await client.query('COMMIT');
+        const action = previousUser ? `Moved from ${previousUser.plan_name} to` : renewal ? 'Renewed' : 'Activated';
+        console.log(`${provider}: ${action} ${user.plan_name} for ${user.telegram_handle} until ${subscriptionExpiration} (order ${orderId}).`);
+        if (commission) {
+            console.log(`Successfully awarded $${commission.commissionAmount.toFixed(2)} commission to user ID ${commission.referrerId}.`);
+        }
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    // Notifications and group moves only happen once the activation is committed
+    publishPaymentUpdate(orderId, 'activated');
+    const planChangedFrom = previousUser ? previousUser.plan_name : null;
+    if (previousPlan && previousPlan.telegram_group_id !== plan.telegram_group_id) {
+        await removeFromGroup(user, previousPlan.telegram_group_id)
+            .catch(err => console.error(`Failed to remove user ${user.id} from the ${planChangedFrom} group:`, err.message));
+    }
+    notifyReferrer(pool, commission).catch(err => console.error('Failed to send referral notification:', err));
+    if ((user.registration_source === 'bot' || previousUser) && user.telegram_chat_id) {
+        await notifyBotUser(user, { renewal, subscriptionExpiration, planChangedFrom, inviteLink })
+            .catch(err => console.error('Failed to notify bot user of payment:', err));
+    }
+
+    return { status: 'activated', user, subscriptionExpiration, renewal, planChangedFrom };
+}
+
+/**
+ * Undoes what creditReferralCommission() paid for an activation: a negative
+ * referral ledger entry, lower total earnings and one sale less towards the
+ * affiliate bonus (if it counted). If the sale had earned the bonus, the bonus is taken back too
+ * and the counter goes back to where it was just before it. Runs on the caller's transaction.
+ * @returns {Promise<object|null>} What was reversed, or null if nothing was credited.
+ */
+async function reverseReferralCommission(client, activation) {
+    const commissionAmount = parseFloat(activation.commission_amount) || 0;
+    if (!activation.referrer_id || commissionAmount <= 0) return null;
+    const referrerId = activation.referrer_id;
+    const bonusReversed = activation.bonus_awarded === true;
+    const amountReversed = commissionAmount + (bonusReversed ? BONUS_AMOUNT : 0);
+
+    await client.query(
+        'INSERT INTO referrals (referrer_id, referred_user_id, commission_amount) VALUES ($1, $2, $3)',
+        [referrerId, activation.user_id, -commissionAmount]
+    );
+    const referrerResult = await client.query(
+        'UPDATE users SET total_referral_earnings = total_referral_earnings - $1 WHERE id = $2 RETURNING telegram_chat_id',
+        [amountReversed, referrerId]
+    );
+    if (bonusReversed) {
+        await client.query(
+            'UPDATE affiliates SET total_sales_for_bonus = total_sales_for_bonus + $1 WHERE user_id = $2',
+            [BONUS_SALES_THRESHOLD - 1, referrerId]
+        );
+    } else if (activation.counted_for_bonus) {
+        await client.query(
+            'UPDATE affiliates SET total_sales_for_bonus = GREATEST(total_sales_for_bonus - 1, 0) WHERE user_id = $1',
+            [referrerId]
+        );
+    }
+
+    return {
+        referrerId,
+        commissionAmount,
+        bonusReversed,
+        amountReversed,
+        referrerChatId: referrerResult.rows.length > 0 ? referrerResult.rows[0].telegram_chat_id : null
+    };
+}
+
+async function notifyReferrerOfReversal(reversal) {
+    if (!reversal || !reversal.referrerChatId) return;
+    let message = `ℹ️ A payment from a user you referred has been refunded, so the $${reversal.commissionAmount.toFixed(2)} commission for it has been reversed.`;
+    if (reversal.bonusReversed) {
+        message += `\n\nThat sale also counted towards your $${BONUS_AMOUNT} bonus, which has been reversed as well.`;
+    }
+    await bot.sendMessage(reversal.referrerChatId, message);
+}
+
+/**
+ * Removes a user from a Telegram group. Ban-then-unban removes them without
+ * blocking a later rejoin. Does nothing without a Telegram user id or a group.
+ * @param {object} user - users row with telegram_user_id and telegram_handle.
+ * @param {string|number} groupId
+ */
+export async function removeFromGroup(user, groupId) {
+    if (!user.telegram_user_id || !groupId) return;
+    await bot.banChatMember(groupId, user.telegram_user_id);
+    await bot.unbanChatMember(groupId, user.telegram_user_id);
+    console.log(`Removed ${user.telegram_handle} (ID: ${user.telegram_user_id}) from group ${groupId}.`);
+}
+
+/**
+ * Takes back what an activated payment granted, when it is refunded by the
+ * provider or by an admin. The subscription ends today, the user is removed
+ * from the plan's Telegram group and the referrer's commission is reversed.
+ * A refunded renewal only takes its own term back: if time from earlier
+ * payments is left, the user keeps access until then.
+ *
+ * Only the first call per activation does anything: the activation row is
+ * stamped with revoked_at in the same transaction.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} payment
+ * @param {string} payment.provider - 'nowpayments' or 'transfi'.
+ * @param {string} payment.orderId - Our order id.
+ * @param {string} payment.reason - Why access is revoked, e.g. 'refunded' or 'admin_refund'.
+ * @returns {Promise<{status: 'revoked'|'already_revoked'|'not_activated', user?: object, reversal?: object|null, remainingExpiration?: string|null}>}
+ *          remainingExpiration is set when a refunded renewal leaves earlier time in place.
+ */
+export async function revokeSubscription(pool, { provider, orderId, reason }) {
+    const client = await pool.connect();
+    let user;
+    let plan;
+    let reversal = null;
+    let remainingExpiration = null;
+
+    try {
+        await client.query('BEGIN');
+
+        const activationResult = await client.query(
+            'SELECT * FROM payment_activations WHERE provider = $1 AND order_id = $2 ORDER BY created_at DESC LIMIT 1 FOR UPDATE',
+            [provider, orderId]
+        );
+        if (activationResult.rows.length === 0 || !activationResult.rows[0].user_id) {
+            await client.query('ROLLBACK');
+            console.log(`${provider}: order ${orderId} never activated a subscription; nothing to revoke.`);
+            return { status: 'not_activated' };
+        }
+        const activation = activationResult.rows[0];
+        if (activation.revoked_at) {
+            await client.query('ROLLBACK');
+            return { status: 'already_revoked' };
+        }
+
+        const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [activation.user_id]);
+        user = userResult.rows[0];
+        plan = await getUserPlan(client, user);
+
+        if (activation.is_renewal && activation.previous_expiration) {
+            const shortenedResult = await client.query(
+                `UPDATE users u
+                 SET subscription_expiration = u.subscription_expiration - (a.subscription_expiration - a.previous_expiration)
+                 FROM payment_activations a
+                 WHERE u.id = $1 AND a.id = $2
+                   AND u.subscription_expiration - (a.subscription_expiration - a.previous_expiration) > CURRENT_DATE
+                 RETURNING to_char(u.subscription_expiration, 'YYYY-MM-DD') AS subscription_expiration`,
+                [user.id, activation.id]
+            );
+            if (shortenedResult.rows.length > 0) remainingExpiration = shortenedResult.rows[0].subscription_expiration;
+        }
+        if (!remainingExpiration) {
+            await client.query(
+                `UPDATE users SET subscription_status = 'refunded', subscription_expiration = CURRENT_DATE, telegram_invite_token = NULL WHERE id = $1`,
+                [user.id]
+            );
+        }
+        reversal = await reverseReferralCommission(client, activation);
+        await client.query(
+            'UPDATE payment_activations SET revoked_at = NOW(), revoke_reason = $1, commission_reversed = $2 WHERE id = $3',
+            [reason, reversal ? reversal.amountReversed : 0, activation.id]
+        );
+        await releaseCouponRedemption(client, orderId);
+
+        await client.query('COMMIT');
+        console.log(`${provider}: Revoked ${user.plan_name} for ${user.telegram_handle} (order ${orderId}, ${reason}).`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    publishPaymentUpdate(orderId, 'revoked');
+    // Telegram failures must not undo the revocation; they are logged for support to follow up
+    if (!remainingExpiration) {
+        await removeFromGroup(user, plan && plan.telegram_group_id)
+            .catch(err => console.error(`Failed to remove user ${user.id} from the VIP group:`, err.message));
+    }
+    if (user.telegram_chat_id) {
+        const message = remainingExpiration
+            ? `Your renewal payment for the ${user.plan_name} plan has been refunded, so your plan now ends on ${remainingExpiration}.`
+            : `Your payment for the ${user.plan_name} plan has been refunded, so your VIP access has ended.`;
+        await bot.sendMessage(
+            user.telegram_chat_id,
+            `${message}\n\nIf you think this is a mistake, please contact @Nexxtrade_Support.`
+        ).catch(err => console.error('Failed to notify user of revoked access:', err.message));
+    }
+    notifyReferrerOfReversal(reversal).catch(err => console.error('Failed to notify referrer of reversed commission:', err.message));
+
+    return { status: 'revoked', user, reversal, remainingExpiration };
+}
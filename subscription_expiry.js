@@ -0,0 +1,120 @@
+// subscription_expiry.js
+// The daily expiry job: subscribers whose end date has passed are removed from
+// their plan's Telegram group, told about it and marked expired. Trial users
+// get the conversion message from trials.js instead of the renewal prompt.
+//
+// Telegram failures never keep a user active: the status is updated whatever
+// happened in the chat, and the failure is logged for support to follow up.
+//
+// recalculateLegacyExpirations() runs at startup, before the job, for
+// subscriptions from before end dates were worked out from the plan.
+
+import { bot } from './telegram_bot.js';
+import { getUserPlan } from './plan_catalog.js';
+import { addPlanDuration } from './plan_durations.js';
+import { removeFromGroup } from './subscription_activation.js';
+import { sendTrialConversionMessage } from './trials.js';
+
+async function notifyExpiredUser(pool, user) {
+    if (!user.telegram_chat_id) return;
+    if (user.is_trial) {
+        await sendTrialConversionMessage(pool, user);
+        return;
+    }
+    const renewalMessage = `Hi ${user.telegram_handle}, your subscription for the ${user.plan_name} plan has expired, and you have been removed from the VIP group. \n\nTo regain access, please start a new subscription.`;
+    const renewalOptions = {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: 'Renew My Subscription', callback_data: 'join_vip' }]
+            ]
+        }
+    };
+    await bot.sendMessage(user.telegram_chat_id, renewalMessage, renewalOptions);
+}
+
+/**
+ * Expires every active subscription whose end date has passed.
+ *
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<{expired: number, failed: number}>} failed counts users whose
+ *          Telegram removal or message failed; they are expired all the same.
+ */
+export async function expireSubscriptions(pool) {
+    const summary = { expired: 0, failed: 0 };
+    const client = await pool.connect();
+    try {
+        // Users without a plan_id are looked up by plan name below (see getUserPlan)
+        const { rows: expiredUsers } = await client.query(
+            `SELECT u.id, u.telegram_handle, u.telegram_user_id, u.telegram_chat_id, u.plan_name, u.plan_id,
+                    p.telegram_group_id, p.is_trial
+             FROM users u
+             LEFT JOIN pricingplans p ON p.id = u.plan_id
+             WHERE u.subscription_status = 'active'
+               AND u.subscription_expiration < NOW()
+               AND u.telegram_user_id IS NOT NULL`
+        );
+
+        for (const user of expiredUsers) {
+            try {
+                if (!user.telegram_group_id) {
+                    const plan = await getUserPlan(client, user);
+                    user.telegram_group_id = plan ? plan.telegram_group_id : null;
+                    user.is_trial = plan ? plan.is_trial : false;
+                }
+                if (!user.telegram_group_id) {
+                    console.warn(`Subscription job: No Telegram group for the ${user.plan_name} plan of user ${user.id}; expiring without removing.`);
+                    continue;
+                }
+
+                await removeFromGroup(user, user.telegram_group_id);
+                await notifyExpiredUser(pool, user);
+            } catch (err) {
+                summary.failed += 1;
+                console.error(`Failed to process Telegram actions for user ${user.id} (${user.telegram_handle}):`, err.message);
+            } finally {
+                try {
+                    await client.query("UPDATE users SET subscription_status = 'expired' WHERE id = $1", [user.id]);
+                    summary.expired += 1;
+                } catch (dbErr) {
+                    console.error(`CRITICAL: Failed to update database for expired user ${user.id}:`, dbErr.message);
+                }
+            }
+        }
+        return summary;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Sets the end date of old active subscriptions to one term of their plan from
+ * registration_date. Only subscriptions nothing else has dated are touched:
+ * end dates written by a recorded activation already account for renewals and
+ * plan changes, and those written by a voucher redemption for the term it added.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @returns {Promise<number>} How many end dates were changed.
+ */
+export async function recalculateLegacyExpirations(db) {
+    const { rows: users } = await db.query(
+        `SELECT * FROM users u
+         WHERE u.subscription_status = 'active'
+           AND NOT EXISTS (SELECT 1 FROM payment_activations a WHERE a.user_id = u.id)
+           AND NOT EXISTS (SELECT 1 FROM vouchers v WHERE v.redeemed_by_user_id = u.id)`
+    );
+
+    let updated = 0;
+    for (const user of users) {
+        const plan = await getUserPlan(db, user);
+        if (!plan || !user.registration_date) continue;
+
+        const correctExpDate = addPlanDuration(user.registration_date, plan);
+        const currentExpDate = user.subscription_expiration ? new Date(user.subscription_expiration).toISOString().split('T')[0] : null;
+        if (correctExpDate !== currentExpDate) {
+            console.log(`Updating expiration for user ${user.id} (${user.telegram_handle}): ${currentExpDate || 'NULL'} -> ${correctExpDate}`);
+            await db.query('UPDATE users SET subscription_expiration = $1 WHERE id = $2', [correctExpDate, user.id]);
+            updated += 1;
+        }
+    }
+    return updated;
+}
@@ -11,11 +11,17 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
 
 // Import the Telegram Bot API library
 import TelegramBot from 'node-telegram-bot-api';
+import { subscribePaymentUpdates } from './payment_events.js';
 const token = process.env.TELEGRAM_BOT_TOKEN;
 
 // Get the server URL from your .env file
 const serverUrl = process.env.APP_BASE_URL;
 
+// Identifies the bot's own API calls so the server rate-limits them per Telegram user
+// rather than per IP (every bot request comes from the server's address), and
+// unlocks the bot-only endpoints such as active-subscriptions.
+const internalApiHeaders = process.env.INTERNAL_API_KEY ? { 'X-Internal-Key': process.env.INTERNAL_API_KEY } : {};
+
 // Create a new Telegram bot instance without polling.
 export const bot = new TelegramBot(token, { polling: false });
 
@@ -26,6 +32,9 @@ export const userRegistrationState = {};
 // NEW: Variable to store the bot's username
 let botUsername = '';
 
+// The bot's username once the webhook is set up, '' before that
+export const getBotUsername = () => botUsername;
+
 // This function sets up the webhook on Telegram's side and registers the commands.
 export const setupWebhook = async () => {
     try {
@@ -47,6 +56,8 @@ export const setupWebhook = async () => {
             { command: 'setreferral', description: 'Set your custom referral name' },
             { command: 'referralstats', description: 'Check your referral stats' },
             { command: 'requestpayout', description: 'Request a payout of your earnings' },
+            { command: 'redeem', description: 'Redeem a gift voucher' },
+            { command: 'myaccess', description: 'Get a new VIP invite link' },
             { command: 'faq', description: 'View FAQ' },
             { command: 'support', description: 'Contact Support' }
         ];
@@ -62,17 +73,81 @@ export const setupWebhook = async () => {
 
 // --- Bot Menus and Messages ---
 
-const mainMenuOptions = {
+// Subscribers see "Renew VIP" where everyone else sees "Join VIP"; both open the plan list.
+const buildMainMenuOptions = (isSubscriber = false) => ({
     reply_markup: {
         inline_keyboard: [
-            [{ text: 'Join VIP', callback_data: 'join_vip' }, { text: 'Pricing', callback_data: 'pricing' }],
+            [{ text: isSubscriber ? 'Renew VIP' : 'Join VIP', callback_data: 'join_vip' }, { text: 'Pricing', callback_data: 'pricing' }],
             [{ text: 'Recent Signals', callback_data: 'recent_signals' }, { text: 'Signal Stats', callback_data: 'signal_stats' }],
             [{ text: 'Refer & Earn', callback_data: 'refer_earn' }],
+            ...(isSubscriber ? [[{ text: '🔑 My VIP Access', callback_data: 'my_access' }]] : []),
             [{ text: 'Get Signals Now', callback_data: 'get_signals_now' }]
         ]
     }
+});
+
+// Active subscriptions of a Telegram user ([{ plan_name, subscription_expiration }]).
+// Failures only cost the "Renew" labels, so they return an empty list.
+const getActiveSubscriptions = async (telegramUserId) => {
+    try {
+        const response = await fetch(`${serverUrl}/api/users/active-subscriptions/${telegramUserId}`, { headers: internalApiHeaders });
+        if (!response.ok) return [];
+        const data = await response.json();
+        return data.subscriptions || [];
+    } catch (error) {
+        console.error('Error fetching active subscriptions:', error.message);
+        return [];
+    }
 };
 
+// Credit and amount due for moving this handle to another plan, or null if it has no other active plan
+const getPlanChangeQuote = async (telegramHandle, planName) => {
+    try {
+        const params = new URLSearchParams({ telegram: telegramHandle, planName });
+        const response = await fetch(`${serverUrl}/api/payments/plan-change-quote?${params.toString()}`, { headers: internalApiHeaders });
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.plan_change || null;
+    } catch (error) {
+        console.error('Error fetching plan change quote:', error.message);
+        return null;
+    }
+};
+
+// The server's price for the checkout in `state`: plan, coupon, credit and network
+// (see price_quotes.js). create-from-bot only accepts the signed quote, never a price.
+const requestPriceQuote = async (state) => {
+    const response = await fetch(`${serverUrl}/api/payments/quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...internalApiHeaders },
+        body: JSON.stringify({
+            method: 'crypto',
+            planId: state.planId,
+            couponCode: state.couponCode,
+            telegram: state.telegramHandle,
+            telegramUserId: state.telegramUserId,
+            gift: !!state.isGift,
+            pay_currency: state.network
+        })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || 'Could not calculate the price. Please try again later.');
+    return data;
+};
+
+const startBotCheckout = (chatId, state) => fetch(`${serverUrl}/api/payments/create-from-bot`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+        telegram_handle: state.telegramHandle,
+        chat_id: chatId,
+        whatsapp_number: state.whatsapp,
+        referral_code: state.referralCode,
+        telegram_user_id: state.telegramUserId,
+        quote: state.priceQuote.quote
+    }),
+});
+
 const introMessage = `
 Hi NexxTrader. I'm your dedicated AI assistant. 
 
@@ -96,7 +171,7 @@ Please choose from the options below to get started
 
 // --- Bot Command Handlers ---
 
-bot.onText(/\/start(?: (.+))?/, (msg, match) => {
+bot.onText(/\/start(?: (.+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
     silentlyLinkTelegramId(msg.from);
     const referralCode = match[1]; // This will capture the referral code from /start [referral_code]
@@ -112,7 +187,8 @@ bot.onText(/\/start(?: (.+))?/, (msg, match) => {
         bot.sendMessage(chatId, `Welcome! You've been referred by ${referralCode}.`);
     }
 
-    bot.sendMessage(chatId, introMessage, mainMenuOptions);
+    const activeSubscriptions = await getActiveSubscriptions(msg.from.id);
+    bot.sendMessage(chatId, introMessage, buildMainMenuOptions(activeSubscriptions.length > 0));
 });
 
 bot.onText(/\/getsignals/, (msg) => {
@@ -121,7 +197,7 @@ bot.onText(/\/getsignals/, (msg) => {
     // --- NEW: SILENTLY LINK USER ID ---
     silentlyLinkTelegramId(msg.from);
     // --- END NEW ---
-    showSubscriptionPlans(chatId, 'Choose your plan to continue');
+    showSubscriptionPlans(chatId, 'Choose your plan to continue', msg.from.id);
 });
 
 // --- REFERRAL COMMANDS ---
@@ -154,7 +230,7 @@ bot.onText(/\/requestpayout/, async (msg) => {
     }
     
     try {
-        const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`);
+        const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`, { headers: internalApiHeaders });
         if (!response.ok) {
             throw new Error('Could not fetch your balance.');
         }
@@ -179,6 +255,24 @@ bot.onText(/\/requestpayout/, async (msg) => {
 });
 // --- END REFERRAL COMMANDS ---
 
+bot.onText(/\/redeem(?: (.+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    silentlyLinkTelegramId(msg.from);
+    const code = match[1] && match[1].trim();
+    if (code) {
+        if (userRegistrationState[chatId]) delete userRegistrationState[chatId];
+        return redeemVoucherCode(chatId, msg.from, code);
+    }
+    userRegistrationState[chatId] = { stage: 'awaiting_voucher_code' };
+    bot.sendMessage(chatId, '🎁 Please enter your voucher code (e.g., NX-7KQ2-M9TD).');
+});
+
+bot.onText(/\/myaccess/, (msg) => {
+    const chatId = msg.chat.id;
+    silentlyLinkTelegramId(msg.from);
+    sendAccessLinks(chatId, msg.from);
+});
+
 bot.onText(/\/faq/, (msg) => {
     const chatId = msg.chat.id;
     silentlyLinkTelegramId(msg.from);
@@ -203,16 +297,27 @@ bot.onText(/\/support/, (msg) => {
 
 // --- Helper Functions ---
 
-const showSubscriptionPlans = async (chatId, messageText) => {
+const showSubscriptionPlans = async (chatId, messageText, telegramUserId) => {
     try {
-        const response = await fetch(`${serverUrl}/api/pricing`);
+        const response = await fetch(`${serverUrl}/api/pricing?include_trials=true`);
         const plans = await response.json();
-
-        const inlineKeyboard = plans.map(plan => ([{
-            text: `${plan.plan_name} - $${plan.price} ${plan.term}`,
-            callback_data: `select_plan_${plan.id}`
-        }]));
+        const activeSubscriptions = telegramUserId ? await getActiveSubscriptions(telegramUserId) : [];
+        const activePlanNames = activeSubscriptions.map(subscription => subscription.plan_name);
+
+        // Free trials are only for people who are not subscribed yet
+        const inlineKeyboard = plans
+            .filter(plan => !plan.is_trial || activePlanNames.length === 0)
+            .map(plan => ([plan.is_trial
+                ? { text: `🎁 Free ${plan.plan_name} (${plan.term})`, callback_data: `start_trial_${plan.id}` }
+                : {
+                    text: `${activePlanNames.includes(plan.plan_name) ? '🔄 Renew ' : ''}${plan.plan_name} - $${plan.price} ${plan.term}`,
+                    callback_data: `select_plan_${plan.id}`
+                }]));
+        if (activePlanNames.length > 0) {
+            messageText += `\n\nRenewing adds the new term to the end of your current subscription, so you don't lose any days.`;
+        }
         
+        inlineKeyboard.push([{ text: '🎁 Buy a Plan as a Gift', callback_data: 'gift_plans' }]);
         inlineKeyboard.push([{ text: '⬅️ Back to Main Menu', callback_data: 'main_menu' }]);
         
         const keyboardOptions = {
@@ -227,6 +332,139 @@ const showSubscriptionPlans = async (chatId, messageText) => {
     }
 };
 
+// Paid plans only; the buyer pays and gets a voucher code to pass on
+const showGiftPlans = async (chatId) => {
+    try {
+        const response = await fetch(`${serverUrl}/api/pricing`);
+        const plans = await response.json();
+        const inlineKeyboard = plans.map(plan => ([{
+            text: `🎁 ${plan.plan_name} - $${plan.price} ${plan.term}`,
+            callback_data: `gift_plan_${plan.id}`
+        }]));
+        inlineKeyboard.push([{ text: '⬅️ Back to Plans', callback_data: 'back_to_plans' }]);
+        bot.sendMessage(chatId, 'Which plan would you like to give? You pay as usual and get a voucher code that the recipient redeems with /redeem.', {
+            reply_markup: { inline_keyboard: inlineKeyboard }
+        });
+    } catch (error) {
+        console.error('Error fetching pricing for gift plans:', error);
+        bot.sendMessage(chatId, "Could not fetch pricing plans. Please try again later or visit our website.");
+    }
+};
+
+// Redeems a voucher for the Telegram user sending it
+const redeemVoucherCode = async (chatId, telegramUser, code) => {
+    try {
+        const response = await fetch(`${serverUrl}/api/vouchers/redeem`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...internalApiHeaders },
+            body: JSON.stringify({
+                code,
+                telegram: telegramUser.username ? `@${telegramUser.username}` : `user_${telegramUser.id}`,
+                chat_id: chatId,
+                telegram_user_id: telegramUser.id
+            })
+        });
+        const data = await response.json().catch(() => ({ message: 'An unexpected server error occurred.' }));
+
+        if (!response.ok) {
+            return bot.sendMessage(chatId, `⚠️ ${data.message || 'Could not redeem this voucher. Please try again later.'}`);
+        }
+        if (data.extended) {
+            return bot.sendMessage(chatId, `🎉 Voucher redeemed! Your ${data.plan_name} plan now runs until ${data.subscription_expiration}.`);
+        }
+        return bot.sendMessage(chatId, `🎉 Voucher redeemed! Your ${data.plan_name} plan is active until ${data.subscription_expiration}. This invite link works once, so use it now:`, {
+            reply_markup: {
+                inline_keyboard: [[{ text: 'Join VIP Now', url: data.invite_link }]]
+            }
+        });
+    } catch (error) {
+        console.error('Error redeeming voucher:', error);
+        bot.sendMessage(chatId, 'Sorry, the voucher could not be redeemed right now. Please try again later or contact support.');
+    }
+};
+
+// How long a checkout message keeps following its payment; after that the
+// Unlock button still checks the status by hand
+const CHECKOUT_WATCH_MS = 6 * 60 * 60 * 1000;
+const CHECKOUT_STATUS_LINE = '🔃Checking payment Status: ⏳';
+
+// What the checkout message says for each update of its order (see payment_events.js).
+// done: nothing more will happen, so the Unlock button goes away.
+const describeCheckoutUpdate = (status) => {
+    switch (status) {
+        case 'activated': return { line: '✅ Payment confirmed!', done: true };
+        case 'voucher_issued': return { line: '✅ Payment confirmed! Your voucher code is in this chat.', done: true };
+        case 'revoked':
+        case 'voucher_voided':
+        case 'refunded': return { line: '↩️ Payment refunded.', done: true };
+        case 'failed': return { line: '❌ Payment failed.', done: true };
+        case 'expired': return { line: '❌ Checkout expired.', done: true };
+        case 'partially_paid': return { line: '⚠️ Partial payment received: ⏳', done: false };
+        case 'waiting': return null;
+        default: return { line: '🔃Payment detected, waiting for confirmations: ⏳', done: false };
+    }
+};
+
+// Keeps the checkout message up to date while the payment goes through. The
+// confirmation itself (and the next step) is sent by the activation code.
+const watchCheckoutMessage = (chatId, message, orderId) => {
+    let unsubscribe = () => {};
+    const timer = setTimeout(() => unsubscribe(), CHECKOUT_WATCH_MS);
+    timer.unref();
+
+    unsubscribe = subscribePaymentUpdates(orderId, ({ status }) => {
+        const update = describeCheckoutUpdate(status);
+        if (!update) return;
+        if (update.done) {
+            clearTimeout(timer);
+            unsubscribe();
+        }
+        const options = { chat_id: chatId, message_id: message.message_id };
+        if (!update.done) options.reply_markup = message.reply_markup;
+        bot.editMessageText(message.text.replace(CHECKOUT_STATUS_LINE, update.line), options)
+            // Telegram refuses edits that change nothing, e.g. a second 'confirming'
+            .catch(err => {
+                if (!/message is not modified/.test(err.message)) console.error(`Failed to update the checkout message for order ${orderId}:`, err.message);
+            });
+    });
+};
+
+// New single-use invite links for the groups of the user's active subscriptions
+const sendAccessLinks = async (chatId, telegramUser) => {
+    try {
+        const response = await fetch(`${serverUrl}/api/access/invite`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...internalApiHeaders },
+            body: JSON.stringify({ telegram_user_id: telegramUser.id })
+        });
+        const data = await response.json().catch(() => ({ message: 'An unexpected server error occurred.' }));
+
+        if (response.status === 404) {
+            return bot.sendMessage(chatId, "I couldn't find an active subscription for your Telegram account. If you paid on the website with a different account, please contact @NexxTrade_Support.", {
+                reply_markup: { inline_keyboard: [[{ text: 'Join VIP', callback_data: 'join_vip' }]] }
+            });
+        }
+        if (!response.ok) {
+            return bot.sendMessage(chatId, `⚠️ ${data.message || 'Could not create a new invite link. Please try again later.'}`);
+        }
+
+        const lines = data.access.map(entry => entry.already_member
+            ? `✅ ${entry.plan_name} (until ${entry.subscription_expiration}): you are already in the group.`
+            : `🔑 ${entry.plan_name} (until ${entry.subscription_expiration}): use the button below.`);
+        const inlineKeyboard = data.access
+            .filter(entry => entry.invite_link)
+            .map(entry => ([{ text: `Join ${entry.plan_name} VIP`, url: entry.invite_link }]));
+        let message = lines.join('\n');
+        if (inlineKeyboard.length > 0) {
+            message += `\n\nEach link works once and expires in ${data.invite_ttl_minutes} minutes.`;
+        }
+        return bot.sendMessage(chatId, message, inlineKeyboard.length > 0 ? { reply_markup: { inline_keyboard: inlineKeyboard } } : {});
+    } catch (error) {
+        console.error('Error requesting access links:', error);
+        bot.sendMessage(chatId, 'Sorry, I could not create a new invite link right now. Please try again later or contact support.');
+    }
+};
+
 const handleSignalStats = async (chatId) => {
     try {
         const response = await fetch(`${serverUrl}/api/performances/stats`);
@@ -267,7 +505,7 @@ const handleReferralInfo = async (chatId, telegramUsername, type) => {
     }
 
     try {
-        const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`);
+        const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`, { headers: internalApiHeaders });
         if (response.status === 404) {
              return bot.sendMessage(chatId, "It looks like you're not registered yet. Please sign up for a plan to activate your referral features!");
         }
@@ -430,8 +668,14 @@ bot.on('message', async (msg) => {
                 try {
                     const couponRes = await fetch(`${serverUrl}/api/validate-coupon`, {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ couponCode: couponInput, planId: state.planId })
+                        headers: { 'Content-Type': 'application/json', ...internalApiHeaders },
+                        body: JSON.stringify({
+                            couponCode: couponInput,
+                            planId: state.planId,
+                            telegram: state.telegramHandle,
+                            telegramUserId: msg.from.id,
+                            gift: !!state.isGift
+                        })
                     });
                     const couponData = await couponRes.json();
 
@@ -439,7 +683,10 @@ bot.on('message', async (msg) => {
                         state.discountedPrice = couponData.finalPrice;
                         state.couponCode = couponData.couponCode;
                         state.stage = 'awaiting_payment_method';
-                        await bot.sendMessage(chatId, `✅ Coupon applied! You get ${couponData.discountPercentage}% off your registration fee.
+                        const discount = couponData.discountType === 'fixed'
+                            ? `$${couponData.discountAmount.toFixed(2)}`
+                            : `${couponData.discountPercentage}%`;
+                        await bot.sendMessage(chatId, `✅ Coupon applied! You get ${discount} off your registration fee.
 
 New price: *$${state.discountedPrice.toFixed(2)}*`, { parse_mode: 'Markdown' });
                         return showPaymentMethodSelection(chatId);
@@ -549,24 +796,22 @@ New price: *$${state.discountedPrice.toFixed(2)}*`, { parse_mode: 'Markdown' });
                 state.stage = 'awaiting_payment';
                 bot.sendMessage(chatId, "Thank you! Generating your unique payment address... please wait.");
 
-                const paymentResponse = await fetch(`${serverUrl}/api/payments/create-from-bot`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        telegram_handle: state.telegramHandle,
-                        chat_id: chatId,
-                        plan_id: state.planId,
-                        pay_currency: state.network,
-                        whatsapp_number: state.whatsapp,
-                        referral_code: state.referralCode,
-                        couponCode: state.couponCode,
-                        telegram_user_id: state.telegramUserId,
-                        discounted_price: state.discountedPrice || null
-                    }),
-                });
-                
-                if (paymentResponse.status === 409) { 
-                    const errorData = await paymentResponse.json();
+                if (!state.priceQuote) state.priceQuote = await requestPriceQuote(state);
+                let paymentResponse = await startBotCheckout(chatId, state);
+
+                // The quote expired while the number was typed, or the user's plans changed: price it once more
+                let errorData = paymentResponse.status === 409 ? await paymentResponse.json() : null;
+                if (errorData && errorData.requote) {
+                    const quotedAmount = state.priceQuote.amount_due;
+                    state.priceQuote = await requestPriceQuote(state);
+                    if (state.priceQuote.amount_due !== quotedAmount) {
+                        await bot.sendMessage(chatId, `ℹ️ The price has been updated. You now pay *$${state.priceQuote.amount_due.toFixed(2)}*.`, { parse_mode: 'Markdown' });
+                    }
+                    paymentResponse = await startBotCheckout(chatId, state);
+                    errorData = null;
+                }
+
+                if (errorData) { 
                     bot.sendMessage(chatId, `⚠️ ${errorData.message}`, {
                          reply_markup: {
                             inline_keyboard: [
@@ -586,13 +831,31 @@ New price: *$${state.discountedPrice.toFixed(2)}*`, { parse_mode: 'Markdown' });
 
                 const paymentData = await paymentResponse.json();
                 state.orderId = paymentData.order_id;
+
+                // Credit for the current plan covered everything; the activation has already
+                // sent the confirmation and the new group's invite link
+                if (paymentData.plan_change_applied) {
+                    delete userRegistrationState[chatId];
+                    return;
+                }
                 
                 const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?data=${paymentData.pay_address}&size=200x200`;
                 const networkMap = { 'usdttrc20': 'USDT(TRC20)', 'usdtbsc': 'USDT(BEP20)' };
                 const formattedCurrency = networkMap[paymentData.pay_currency.toLowerCase()] || paymentData.pay_currency.toUpperCase();
 
                 const addressMessage = `Please send exactly *${paymentData.pay_amount} ${formattedCurrency}* to this address:\n\n` + `\`${paymentData.pay_address}\``;
-                const monitoringMessage = `👆 Tap & copy the address above to pay.\n\n✅ Auto Join VIP: Access in ~2 minutes after payment.\n☎️ Support: @Nexxtrade_Support\n\n🔃Checking payment Status: ⏳`;
+                const planChange = paymentData.plan_change;
+                const accessLine = paymentData.gift
+                    ? `🎁 Gift: once paid, your voucher code arrives in this chat.`
+                    : paymentData.is_renewal
+                    ? `🔄 Renewal: once paid, the new term is added to your current end date (${paymentData.current_expiration}).`
+                    : planChange
+                        ? `🔀 Plan change: $${planChange.credit.toFixed(2)} credit for your ${planChange.from_plan} plan is applied. Once paid, you are moved to the new VIP group.`
+                        : `✅ Auto Join VIP: Access in ~2 minutes after payment.`;
+                let monitoringMessage = `👆 Tap & copy the address above to pay.\n\n${accessLine}\n☎️ Support: @Nexxtrade_Support\n\n${CHECKOUT_STATUS_LINE}`;
+                if (paymentData.sandbox) {
+                    monitoringMessage += `\n\n🧪 Sandbox checkout, no real money. Simulate the payment here: ${paymentData.payment_url}`;
+                }
                 
                 const checkStatusKeyboard = {
                     reply_markup: {
@@ -601,7 +864,46 @@ New price: *$${state.discountedPrice.toFixed(2)}*`, { parse_mode: 'Markdown' });
                 };
                 
                 await bot.sendPhoto(chatId, qrCodeUrl, { caption: addressMessage, parse_mode: 'Markdown' });
-                await bot.sendMessage(chatId, monitoringMessage, checkStatusKeyboard);
+                const sentMonitoringMessage = await bot.sendMessage(chatId, monitoringMessage, checkStatusKeyboard);
+                watchCheckoutMessage(chatId, { ...sentMonitoringMessage, text: monitoringMessage, reply_markup: checkStatusKeyboard.reply_markup }, state.orderId);
+                break;
+
+            case 'awaiting_voucher_code':
+                delete userRegistrationState[chatId];
+                return redeemVoucherCode(chatId, msg.from, msg.text.trim());
+
+            case 'awaiting_trial_whatsapp':
+                if (!/^\+?\d{10,}$/.test(msg.text)) {
+                    bot.sendMessage(chatId, "That doesn't look right. Please enter a valid WhatsApp number, including the country code (e.g., +1234567890).");
+                    return;
+                }
+                delete userRegistrationState[chatId];
+                bot.sendMessage(chatId, "Thank you! Setting up your free trial... please wait.");
+
+                const trialResponse = await fetch(`${serverUrl}/api/trials/start`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...internalApiHeaders },
+                    body: JSON.stringify({
+                        plan_id: state.planId,
+                        telegram_handle: state.telegramHandle,
+                        chat_id: chatId,
+                        telegram_user_id: state.telegramUserId,
+                        whatsapp_number: msg.text
+                    })
+                });
+                const trialData = await trialResponse.json().catch(() => ({ message: 'An unexpected server error occurred.' }));
+
+                if (!trialResponse.ok) {
+                    const retryKeyboard = { reply_markup: { inline_keyboard: [[{ text: 'See Paid Plans', callback_data: 'pricing' }]] } };
+                    await bot.sendMessage(chatId, `⚠️ ${trialData.message || 'Could not start your trial. Please try again later.'}`, retryKeyboard);
+                    return;
+                }
+
+                await bot.sendMessage(chatId, `🎉 Your free ${trialData.plan_name} trial is active until ${trialData.subscription_expiration}. This invite link works once, so use it now:`, {
+                    reply_markup: {
+                        inline_keyboard: [[{ text: 'Join VIP Now', url: trialData.invite_link }]]
+                    }
+                });
                 break;
 
             case 'awaiting_full_name':
@@ -670,7 +972,7 @@ bot.on('callback_query', async (callbackQuery) => {
 
         if (data === 'pricing' || data === 'join_vip' || data === 'back_to_plans' || data === 'get_signals_now') {
             if(data === 'back_to_plans' && userRegistrationState[chatId]) delete userRegistrationState[chatId];
-            return showSubscriptionPlans(chatId, 'Choose your plan to continue');
+            return showSubscriptionPlans(chatId, 'Choose your plan to continue', telegramUser.id);
         }
         if (data === 'recent_signals') return createLinkMenu(chatId, 'Click the button below to see our recent signals and full performance history.', `${serverUrl}/performance`);
         if (data === 'signal_stats') return handleSignalStats(chatId);
@@ -695,7 +997,7 @@ bot.on('callback_query', async (callbackQuery) => {
                 return bot.sendMessage(chatId, "Please set a username in your Telegram settings to use the referral system.");
             }
             try {
-                const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`);
+                const response = await fetch(`${serverUrl}/api/users/referral-stats/${telegramUsername}`, { headers: internalApiHeaders });
                 if (!response.ok) {
                     throw new Error('Could not fetch your balance.');
                 }
@@ -718,9 +1020,14 @@ bot.on('callback_query', async (callbackQuery) => {
             }
         }
         
+        if (data === 'my_access') {
+            return sendAccessLinks(chatId, telegramUser);
+        }
+
         if (data === 'main_menu') {
             if (userRegistrationState[chatId]) delete userRegistrationState[chatId];
-            return bot.sendMessage(chatId, introMessage, mainMenuOptions);
+            const activeSubscriptions = await getActiveSubscriptions(telegramUser.id);
+            return bot.sendMessage(chatId, introMessage, buildMainMenuOptions(activeSubscriptions.length > 0));
         }
 
         if (data.startsWith('select_plan_')) {
@@ -733,6 +1040,9 @@ bot.on('callback_query', async (callbackQuery) => {
                 const planRes = await fetch(`${serverUrl}/api/pricing/${planId}`);
                 const planData = await planRes.json();
                 const planPrice = parseFloat(planData.price);
+                const activeSubscriptions = await getActiveSubscriptions(telegramUser.id);
+                const renewal = activeSubscriptions.find(subscription => subscription.plan_name === planData.plan_name);
+                const planChange = !renewal && activeSubscriptions.length > 0 ? await getPlanChangeQuote(telegramHandle, planData.plan_name) : null;
 
                 userRegistrationState[chatId] = {
                     ...existingState,
@@ -740,24 +1050,62 @@ bot.on('callback_query', async (callbackQuery) => {
                     planPrice,
                     telegramHandle,
                     telegramUserId: telegramUser.id,
+                    isRenewal: !!renewal,
+                    isGift: false,
                     stage: 'awaiting_coupon'
                 };
 
-                return bot.sendMessage(chatId, `You have selected a plan. Do you have a coupon code? If yes, enter it now. Otherwise type *SKIP*.`, { parse_mode: 'Markdown' });
+                let selectionMessage = `You have selected a plan.`;
+                if (renewal) {
+                    selectionMessage = `You are renewing your *${planData.plan_name}* plan. The new term starts when your current one ends on ${renewal.subscription_expiration}.`;
+                } else if (planChange) {
+                    selectionMessage = `You are switching from *${planChange.from_plan}* to *${planData.plan_name}*. The ${planChange.remaining_days} days left on your current plan are worth $${planChange.credit.toFixed(2)}, so you pay $${planChange.amount_due.toFixed(2)}`
+                        + (planChange.extra_days > 0 ? ` and get ${planChange.extra_days} extra days.` : '.');
+                }
+                return bot.sendMessage(chatId, `${selectionMessage} Do you have a coupon code? If yes, enter it now. Otherwise type *SKIP*.`, { parse_mode: 'Markdown' });
             } catch (err) {
                 console.error("Error fetching plan price:", err);
-                userRegistrationState[chatId] = { ...existingState, planId, telegramHandle, telegramUserId: telegramUser.id, stage: 'awaiting_coupon' };
+                userRegistrationState[chatId] = { ...existingState, planId, telegramHandle, telegramUserId: telegramUser.id, isGift: false, stage: 'awaiting_coupon' };
                 return bot.sendMessage(chatId, `You have selected a plan. Do you have a coupon code? If yes, enter it now. Otherwise type SKIP.`);
             }
         }
 
+        if (data === 'gift_plans') {
+            return showGiftPlans(chatId);
+        }
+
+        if (data.startsWith('gift_plan_')) {
+            const planId = parseInt(data.split('_')[2], 10);
+            const existingState = userRegistrationState[chatId] || {};
+            userRegistrationState[chatId] = {
+                referralCode: existingState.referralCode,
+                planId,
+                telegramHandle: telegramUser.username ? `@${telegramUser.username}` : `user_${telegramUser.id}`,
+                telegramUserId: telegramUser.id,
+                isGift: true,
+                stage: 'awaiting_coupon'
+            };
+            return bot.sendMessage(chatId, `You are buying this plan as a gift. Do you have a coupon code? If yes, enter it now. Otherwise type *SKIP*.`, { parse_mode: 'Markdown' });
+        }
+
+        if (data.startsWith('start_trial_')) {
+            const planId = parseInt(data.split('_')[2], 10);
+            userRegistrationState[chatId] = {
+                planId,
+                telegramHandle: telegramUser.username ? `@${telegramUser.username}` : `user_${telegramUser.id}`,
+                telegramUserId: telegramUser.id,
+                stage: 'awaiting_trial_whatsapp'
+            };
+            return bot.sendMessage(chatId, `🎁 One free trial is available per person. To start yours, please enter your WhatsApp number including the country code (e.g., +1234567890).`);
+        }
+
         if (data === 'select_payment_fiat') {
             const state = userRegistrationState[chatId];
             if (!state) return bot.sendMessage(chatId, "Please select a plan first.");
             const fiatKeyboard = {
                 inline_keyboard: [
-                    [{ text: 'Proceed to Fiat Checkout', url: `${serverUrl}/join?telegram=${state.telegramHandle.replace('@','')}` }],
-                    [{ text: '⬅️ Back', callback_data: `select_plan_${state.planId}` }]
+                    [{ text: 'Proceed to Fiat Checkout', url: `${serverUrl}/join?telegram=${state.telegramHandle.replace('@','')}${state.isGift ? '&gift=1' : ''}` }],
+                    [{ text: '⬅️ Back', callback_data: `${state.isGift ? 'gift_plan' : 'select_plan'}_${state.planId}` }]
                 ]
             };
             return bot.sendMessage(chatId, `To complete your payment with Fiat, please use the button below to visit our secure checkout page.`, { reply_markup: fiatKeyboard });
@@ -771,7 +1119,7 @@ bot.on('callback_query', async (callbackQuery) => {
                     inline_keyboard: [
                         [{ text: 'USDT (TRC-20)', callback_data: `select_network_usdttrc20` }],
                         [{ text: 'USDT (BEP-20)', callback_data: `select_network_usdtbsc` }],
-                        [{ text: '⬅️ Back', callback_data: `select_plan_${state.planId}` }]
+                        [{ text: '⬅️ Back', callback_data: `${state.isGift ? 'gift_plan' : 'select_plan'}_${state.planId}` }]
                     ]
                 }
             };
@@ -784,8 +1132,13 @@ bot.on('callback_query', async (callbackQuery) => {
             if (!state) return bot.sendMessage(chatId, "Your session seems to have expired. Please start again with /start.");
 
             state.network = network;
+            try {
+                state.priceQuote = await requestPriceQuote(state);
+            } catch (error) {
+                return bot.sendMessage(chatId, `⚠️ ${error.message}`);
+            }
             state.stage = 'awaiting_whatsapp';
-            return bot.sendMessage(chatId, "Please enter your WhatsApp number (including country code) to proceed.");
+            return bot.sendMessage(chatId, `Amount to pay: *$${state.priceQuote.amount_due.toFixed(2)}*\n\nPlease enter your WhatsApp number (including country code) to proceed.`, { parse_mode: 'Markdown' });
         }
 
         if (data.startsWith('check_payment_status_')) {
@@ -795,14 +1148,36 @@ bot.on('callback_query', async (callbackQuery) => {
             if (!statusResponse.ok) throw new Error("Could not reach our server.");
             const statusData = await statusResponse.json();
             
-            if (statusData.status === 'paid') {
+            if (statusData.status === 'paid' && statusData.gift) {
+                delete userRegistrationState[chatId];
+                return await bot.sendMessage(chatId, statusData.voucher_code
+                    ? `🎁 Payment confirmed! Your gift voucher code is \`${statusData.voucher_code}\`. The recipient redeems it with /redeem.`
+                    : `🎁 Payment confirmed! ${statusData.message}`, { parse_mode: 'Markdown' });
+            } else if (statusData.status === 'paid' && statusData.renewed) {
+                delete userRegistrationState[chatId];
+                return await bot.sendMessage(chatId, `✅ Renewal confirmed! Your subscription now runs until ${statusData.subscription_expiration}.`);
+            } else if (statusData.status === 'paid') {
                 const state = userRegistrationState[chatId];
                 if (state) {
                     state.stage = 'awaiting_full_name';
                     return await bot.sendMessage(chatId, `✅ Payment confirmed! To complete your registration, please provide your full name.`);
                 } else {
-                    return await bot.sendMessage(chatId, `✅ Payment confirmed! Your session expired. Please contact support with your transaction ID to get your link.`);
+                    return await bot.sendMessage(chatId, `✅ Payment confirmed! Your session expired, but you can get your invite link with /myaccess.`);
                 }
+            } else if (statusData.status === 'partially_paid') {
+                const currency = (statusData.pay_currency || '').toUpperCase();
+                let message = `⚠️ Only *${statusData.actually_paid} ${currency}* of *${statusData.pay_amount} ${currency}* has arrived. Please send the remaining *${statusData.remaining_amount} ${currency}*`;
+                message += statusData.pay_address ? ` to the same address:\n\n\`${statusData.pay_address}\`` : '.';
+                return await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            } else if (statusData.status === 'failed' || statusData.status === 'expired') {
+                delete userRegistrationState[chatId];
+                return await bot.sendMessage(chatId, `❌ ${statusData.message}`, {
+                    reply_markup: {
+                        inline_keyboard: [[{ text: 'Start a New Checkout', callback_data: 'join_vip' }]]
+                    }
+                });
+            } else if (statusData.status === 'refunded') {
+                return await bot.sendMessage(chatId, `${statusData.message} If you think this is a mistake, please contact @Nexxtrade_Support.`);
             } else {
                 return await bot.sendMessage(chatId, `Current status: *${statusData.status}*. Please wait for blockchain confirmation and try again.`, { parse_mode: 'Markdown' });
             }
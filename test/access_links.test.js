@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyTelegramLogin } from '../access_links.js';
+
+const BOT_TOKEN = '123456:TEST-TOKEN';
+const NOW_SECONDS = 1767225600;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Signs login data the way Telegram does for the Login Widget
+function signedLogin(fields = {}) {
+    const data = { id: 777, first_name: 'Ada', username: 'trader', auth_date: NOW_SECONDS - 60, ...fields };
+    const dataCheckString = Object.keys(data).sort().map(key => `${key}=${data[key]}`).join('\n');
+    const secret = crypto.createHash('sha256').update(BOT_TOKEN).digest();
+    return { ...data, hash: crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex') };
+}
+
+const freezeClock = (t) => t.mock.timers.enable({ apis: ['Date'], now: NOW_SECONDS * 1000 });
+
+test('accepts a login signed with the bot token and returns the Telegram user id', (t) => {
+    freezeClock(t);
+    assert.equal(verifyTelegramLogin(signedLogin(), BOT_TOKEN, DAY_SECONDS), '777');
+});
+
+test('refuses changed fields and logins signed with another token', (t) => {
+    freezeClock(t);
+    assert.equal(verifyTelegramLogin({ ...signedLogin(), id: 778 }, BOT_TOKEN, DAY_SECONDS), null);
+    assert.equal(verifyTelegramLogin(signedLogin(), '654321:OTHER-TOKEN', DAY_SECONDS), null);
+});
+
+test('refuses hashes that are not SHA-256 hex digests without throwing', (t) => {
+    freezeClock(t);
+    const login = signedLogin();
+    for (const hash of ['', 'abc', login.hash.toUpperCase(), `${login.hash}00`, 'é'.repeat(64), 'z'.repeat(64)]) {
+        assert.equal(verifyTelegramLogin({ ...login, hash }, BOT_TOKEN, DAY_SECONDS), null, hash);
+    }
+    assert.equal(verifyTelegramLogin({ ...login, hash: 42 }, BOT_TOKEN, DAY_SECONDS), null);
+});
+
+test('refuses logins older than the maximum age, and missing data', (t) => {
+    freezeClock(t);
+    assert.equal(verifyTelegramLogin(signedLogin({ auth_date: NOW_SECONDS - DAY_SECONDS - 1 }), BOT_TOKEN, DAY_SECONDS), null);
+    assert.equal(verifyTelegramLogin(signedLogin({ auth_date: NOW_SECONDS - DAY_SECONDS + 1 }), BOT_TOKEN, DAY_SECONDS), '777');
+    assert.equal(verifyTelegramLogin(undefined, BOT_TOKEN, DAY_SECONDS), null);
+    assert.equal(verifyTelegramLogin(signedLogin(), undefined, DAY_SECONDS), null);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_PERMISSIONS, effectivePermissions, getPermissionChangeError, requirePermission } from '../admin_permissions.js';
+
+const SUPER_ADMIN = { id: 1, role: 'superadmin', permissions: [] };
+const ROLE_MANAGER = { id: 2, role: 'admin', permissions: ['manage_roles', 'view_users'] };
+
+// Runs a middleware against a bare request and reports what it answered
+function run(middleware, admin) {
+    const outcome = { nextCalled: false, status: null, body: null };
+    const res = {
+        status(code) { outcome.status = code; return this; },
+        json(body) { outcome.body = body; return this; }
+    };
+    middleware({ admin }, res, () => { outcome.nextCalled = true; });
+    return outcome;
+}
+
+test('requirePermission lets through admins with the permission and super admins', () => {
+    assert.equal(run(requirePermission('view_users'), ROLE_MANAGER).nextCalled, true);
+    assert.equal(run(requirePermission('refund_payments'), SUPER_ADMIN).nextCalled, true);
+});
+
+test('requirePermission answers 403 without the permission and 401 without a session', () => {
+    const refused = run(requirePermission('refund_payments'), ROLE_MANAGER);
+    assert.equal(refused.nextCalled, false);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.required_permission, 'refund_payments');
+
+    assert.equal(run(requirePermission('view_users'), undefined).status, 401);
+});
+
+test('effectivePermissions gives a super admin everything and drops unknown names', () => {
+    assert.deepEqual(effectivePermissions(SUPER_ADMIN), ADMIN_PERMISSIONS);
+    assert.deepEqual(effectivePermissions({ role: 'admin', permissions: ['view_users', 'root'] }), ['view_users']);
+});
+
+test('creating an admin: a role manager cannot grant permissions they do not hold', () => {
+    assert.equal(getPermissionChangeError(ROLE_MANAGER, ['view_users']), null);
+    assert.equal(getPermissionChangeError(ROLE_MANAGER, []), null);
+    assert.equal(
+        getPermissionChangeError(ROLE_MANAGER, ['view_users', 'refund_payments', 'manage_pricing']),
+        'You can only grant permissions you hold yourself (not refund_payments, manage_pricing).'
+    );
+});
+
+test('updating an admin: a role manager cannot add permissions they do not hold', () => {
+    const current = ['view_users'];
+    assert.match(getPermissionChangeError(ROLE_MANAGER, ['view_users', 'view_payments'], current), /grant .* \(not view_payments\)/);
+    assert.equal(getPermissionChangeError(ROLE_MANAGER, ['view_users', 'manage_roles'], current), null);
+});
+
+test('updating an admin: a role manager cannot take away permissions they do not hold', () => {
+    const current = ['view_users', 'refund_payments'];
+    assert.equal(
+        getPermissionChangeError(ROLE_MANAGER, ['view_users'], current),
+        'You can only take away permissions you hold yourself (not refund_payments).'
+    );
+    // Leaving them in place is fine, and so is removing one they do hold
+    assert.equal(getPermissionChangeError(ROLE_MANAGER, ['refund_payments'], current), null);
+});
+
+test('a super admin can grant and take away anything', () => {
+    assert.equal(getPermissionChangeError(SUPER_ADMIN, [...ADMIN_PERMISSIONS]), null);
+    assert.equal(getPermissionChangeError(SUPER_ADMIN, [], [...ADMIN_PERMISSIONS]), null);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRecoveryConfig, runCheckoutRecovery } from '../checkout_recovery.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const CONFIG = getRecoveryConfig({ RECOVERY_REMINDER_HOURS: '1,24,72', RECOVERY_COUPON_PERCENT: '15' });
+
+// A checkout due for its last reminder, the one with the coupon
+const checkout = (fields = {}) => ({
+    id: 21,
+    order_id: 'order-21',
+    plan_name: 'Pro',
+    telegram_chat_id: 555,
+    current_plan_id: 8,
+    hours_since: '80',
+    last_step: 2,
+    ...fields
+});
+
+function recoveryWith(row) {
+    return fakePool([
+        [/FROM users u/, [row]],
+        [/INSERT INTO checkout_recovery_messages/, [{ id: 5 }]],
+        [/INSERT INTO coupons/, (params) => [{ code: params[0], discount_percentage: String(params[1]), expires_at: new Date('2026-01-03T10:00:00Z') }]]
+    ]);
+}
+
+test('reads the campaign settings, with the coupon on the last reminder by default', () => {
+    assert.deepEqual(CONFIG, { reminderHours: [1, 24, 72], couponPercent: 15, couponStep: 3, couponValidHours: 48, attributionDays: 7 });
+    assert.deepEqual(getRecoveryConfig({ RECOVERY_REMINDER_HOURS: 'off' }).reminderHours, []);
+    assert.equal(getRecoveryConfig({ RECOVERY_COUPON_PERCENT: '100' }).couponPercent, 99);
+});
+
+test('the recovery coupon is good for one payment of the checkout\'s plan', async (t) => {
+    const bot = mockBot(t);
+    const pool = recoveryWith(checkout());
+
+    assert.deepEqual(await runCheckoutRecovery(pool, CONFIG), { sent: 1, failed: 0 });
+
+    const insert = pool.find(/INSERT INTO coupons/);
+    assert.match(insert.sql, /max_redemptions, allowed_plan_ids/);
+    assert.match(insert.sql, /, 1, \$4\)/);
+    assert.deepEqual(insert.params.slice(1), [15, 48, [8]]);
+    assert.deepEqual(pool.find(/SET coupon_code/).params, [insert.params[0], 5]);
+
+    const [chatId, message, options] = bot.sendMessage.mock.calls[0].arguments;
+    assert.equal(chatId, 555);
+    assert.match(message, new RegExp(`\`${insert.params[0]}\` for \\*15% off\\*`));
+    assert.equal(options.reply_markup.inline_keyboard[0][0].callback_data, 'select_plan_8');
+});
+
+test('a checkout whose plan is no longer on sale is reminded without a coupon', async (t) => {
+    const bot = mockBot(t);
+    const pool = recoveryWith(checkout({ current_plan_id: null }));
+
+    assert.deepEqual(await runCheckoutRecovery(pool, CONFIG), { sent: 1, failed: 0 });
+
+    assert.ok(!pool.has(/INSERT INTO coupons/));
+    const [, message, options] = bot.sendMessage.mock.calls[0].arguments;
+    assert.doesNotMatch(message, /% off/);
+    assert.equal(options.reply_markup.inline_keyboard[0][0].callback_data, 'pricing');
+});
+
+test('earlier reminders carry no coupon, and a sent step is not sent again', async (t) => {
+    const bot = mockBot(t);
+
+    const early = recoveryWith(checkout({ hours_since: '30', last_step: 1 }));
+    assert.deepEqual(await runCheckoutRecovery(early, CONFIG), { sent: 1, failed: 0 });
+    assert.equal(early.find(/INSERT INTO checkout_recovery_messages/).params[3], 2);
+    assert.ok(!early.has(/coupons/));
+
+    const done = recoveryWith(checkout({ last_step: 3 }));
+    assert.deepEqual(await runCheckoutRecovery(done, CONFIG), { sent: 0, failed: 0 });
+    assert.equal(bot.sendMessage.mock.callCount(), 1);
+});
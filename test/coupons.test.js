@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAffiliateDiscountCap, checkCoupon, resolveCouponAffiliate } from '../coupons.js';
+import { fakePool } from './helpers/fake_pool.js';
+
+const PLAN = { id: 2, plan_name: 'Pro', price: 100 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const coupon = (fields = {}) => ({
+    code: 'SAVE20',
+    discount_type: 'percent',
+    discount_percentage: '20',
+    discount_amount: null,
+    starts_at: null,
+    expires_at: null,
+    max_redemptions: null,
+    max_redemptions_per_user: null,
+    usage_count: 0,
+    allowed_plan_ids: null,
+    applies_to: 'any',
+    affiliate_user_id: null,
+    is_active: true,
+    ...fields
+});
+
+test('applies a percentage discount', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon()]]]);
+    const result = await checkCoupon(db, { code: ' save20 ', plan: PLAN, price: 100 });
+
+    assert.equal(result.status, 'applied');
+    assert.equal(result.discount, 20);
+    assert.equal(result.finalPrice, 80);
+    assert.equal(result.coupon.code, 'SAVE20');
+    assert.deepEqual(db.queries[0].params, ['save20']);
+});
+
+test('applies a fixed discount', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ discount_type: 'fixed', discount_amount: '15.50' })]]]);
+    const result = await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 });
+    assert.equal(result.discount, 15.5);
+    assert.equal(result.finalPrice, 84.5);
+});
+
+test('refuses unknown codes', async () => {
+    const result = await checkCoupon(fakePool(), { code: 'NOPE', plan: PLAN, price: 100 });
+    assert.deepEqual(result, { status: 'not_found', message: 'Invalid or expired coupon code.' });
+});
+
+test('refuses codes outside their dates', async () => {
+    const notStarted = fakePool([[/FROM coupons/, [coupon({ starts_at: new Date(Date.now() + DAY_MS) })]]]);
+    assert.equal((await checkCoupon(notStarted, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'not_started');
+
+    const expired = fakePool([[/FROM coupons/, [coupon({ expires_at: new Date(Date.now() - DAY_MS) })]]]);
+    assert.equal((await checkCoupon(expired, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'expired');
+});
+
+test('refuses codes that reached max_redemptions', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ max_redemptions: 5, usage_count: 5 })]]]);
+    assert.equal((await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'used_up');
+});
+
+test('refuses plans the code is not valid for', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ allowed_plan_ids: [1] })]]]);
+    const result = await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 });
+    assert.equal(result.status, 'plan_not_allowed');
+    assert.deepEqual(db.queries[1].params, [[1], 2, 'Pro']);
+});
+
+test('allows later versions of an allowed plan', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ allowed_plan_ids: [1] })]], [/FROM pricingplans/, [{ '?column?': 1 }]]]);
+    assert.equal((await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'applied');
+});
+
+test('keeps renewal and first purchase codes to their checkouts', async () => {
+    const renewalOnly = fakePool([[/FROM coupons/, [coupon({ applies_to: 'renewal' })]]]);
+    assert.equal((await checkCoupon(renewalOnly, { code: 'SAVE20', plan: PLAN, price: 100, checkoutKind: 'purchase' })).status, 'renewal_only');
+    assert.equal((await checkCoupon(renewalOnly, { code: 'SAVE20', plan: PLAN, price: 100, checkoutKind: 'renewal' })).status, 'applied');
+
+    const firstPurchase = fakePool([[/FROM coupons/, [coupon({ applies_to: 'first_purchase' })]]]);
+    assert.equal((await checkCoupon(firstPurchase, { code: 'SAVE20', plan: PLAN, price: 100, checkoutKind: 'gift' })).status, 'first_purchase_only');
+});
+
+test('refuses first purchase codes to customers who paid before', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ applies_to: 'first_purchase' })]], [/FROM payment_activations/, [{ '?column?': 1 }]]]);
+    const result = await checkCoupon(db, {
+        code: 'SAVE20', plan: PLAN, price: 100, checkoutKind: 'purchase', customer: { telegramHandle: '@Trader' }
+    });
+    assert.equal(result.status, 'first_purchase_only');
+    assert.deepEqual(db.queries[1].params, [null, null, 'trader']);
+});
+
+test('skips the per-person rules until the customer is known', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ max_redemptions_per_user: 1 })]], [/COUNT/, [{ uses: 1 }]]]);
+    assert.equal((await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'applied');
+    assert.equal(db.queries.length, 1);
+});
+
+test('refuses customers who used the code max_redemptions_per_user times', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ max_redemptions_per_user: 1 })]], [/COUNT/, [{ uses: 1 }]]]);
+    const result = await checkCoupon(db, {
+        code: 'SAVE20', plan: PLAN, price: 100, customer: { email: 'Someone@Example.com' }
+    });
+    assert.equal(result.status, 'user_limit');
+    assert.deepEqual(db.queries[1].params, ['SAVE20', null, 'someone@example.com', null]);
+});
+
+test('ignores the made-up emails of bot users', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ max_redemptions_per_user: 1 })]], [/COUNT/, [{ uses: 1 }]]]);
+    const result = await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100, customer: { email: '123@telegram.user' } });
+    assert.equal(result.status, 'applied');
+});
+
+test('refuses a fixed discount that would make the plan free', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ discount_type: 'fixed', discount_amount: '150' })]]]);
+    const result = await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 });
+    assert.deepEqual(result, { status: 'covers_price', message: 'This coupon cannot be used for the selected plan.' });
+});
+
+test("caps an affiliate's code at their max_coupon_discount", async () => {
+    const db = fakePool([
+        [/FROM coupons/, [coupon({ discount_percentage: '50', affiliate_user_id: 7 })]],
+        [/FROM affiliates/, [{ max_coupon_discount: '10' }]]
+    ]);
+    const result = await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 });
+    assert.equal(result.discount, 10);
+    assert.equal(result.finalPrice, 90);
+    assert.equal(result.coupon.affiliate_user_id, 7);
+});
+
+test('refuses the code of an affiliate who is no longer active', async () => {
+    const db = fakePool([[/FROM coupons/, [coupon({ affiliate_user_id: 7 })]]]);
+    assert.equal((await checkCoupon(db, { code: 'SAVE20', plan: PLAN, price: 100 })).status, 'not_found');
+});
+
+test('an affiliate handle is saved as the affiliate it stands for, if they are active', async () => {
+    const db = fakePool([[/FROM affiliates a/, (params) => (params[0] === 'partner' ? [{ user_id: 7 }] : [])]]);
+
+    const owned = { code: 'PARTNER10', affiliate_telegram_handle: 'partner' };
+    assert.equal(await resolveCouponAffiliate(db, owned), null);
+    assert.deepEqual(owned, { code: 'PARTNER10', affiliate_user_id: 7 });
+
+    const unknown = { affiliate_telegram_handle: 'stranger' };
+    assert.equal(await resolveCouponAffiliate(db, unknown), '@stranger is not an active affiliate.');
+
+    const cleared = { affiliate_telegram_handle: null };
+    assert.equal(await resolveCouponAffiliate(db, cleared), null);
+    assert.deepEqual(cleared, { affiliate_user_id: null });
+});
+
+test("refuses saving a percentage above the affiliate's cap", async () => {
+    const db = fakePool([[/FROM affiliates/, [{ max_coupon_discount: '10' }]]]);
+    assert.equal(
+        await checkAffiliateDiscountCap(db, coupon({ discount_percentage: '15', affiliate_user_id: 7 })),
+        "This affiliate's codes can give at most 10% off."
+    );
+    assert.equal(await checkAffiliateDiscountCap(db, coupon({ discount_percentage: '10', affiliate_user_id: 7 })), null);
+    // Fixed discounts are capped at the checkout instead
+    assert.equal(await checkAffiliateDiscountCap(db, coupon({ discount_type: 'fixed', discount_amount: '50', affiliate_user_id: 7 })), null);
+});
@@ -0,0 +1,38 @@
+// A stand-in for a pg Pool in unit tests. Each query is answered with the rows
+// of the first pattern its SQL matches:
+//
+//   fakePool([
+//       [/FROM coupons/, [{ code: 'SAVE20' }]],
+//       [/FROM users WHERE id/, (params) => params[0] === 5 ? [user] : []],
+//       [/INSERT INTO payments/, new Error('boom')]
+//   ]);
+//
+// Rows can be a function of the params (and the SQL); an Error is thrown
+// instead of answering. Unmatched queries get no rows. Every query, on the pool
+// or on a client from connect(), is recorded in order.
+
+export function fakePool(answers = []) {
+    const queries = [];
+    let released = 0;
+
+    const query = async (sql, params = []) => {
+        queries.push({ sql, params });
+        const match = answers.find(([pattern]) => pattern.test(sql));
+        if (match && match[1] instanceof Error) throw match[1];
+        const rows = !match ? [] : typeof match[1] === 'function' ? match[1](params, sql) : match[1];
+        return { rows, rowCount: rows.length };
+    };
+
+    return {
+        queries,
+        query,
+        get released() { return released; },
+        async connect() {
+            return { query, release: () => { released += 1; } };
+        },
+        // The first recorded query whose SQL matches, or undefined
+        find: (pattern) => queries.find(({ sql }) => pattern.test(sql)),
+        findAll: (pattern) => queries.filter(({ sql }) => pattern.test(sql)),
+        has: (pattern) => queries.some(({ sql }) => pattern.test(sql))
+    };
+}
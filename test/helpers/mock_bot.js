@@ -0,0 +1,14 @@
+// Replaces the Telegram calls the server makes with mocks for the length of
+// one test, so nothing is ever sent for real. Returns the mocks by method name.
+
+import { bot } from '../../telegram_bot.js';
+
+export function mockBot(t, { inviteLink = 'https://t.me/+invite' } = {}) {
+    return {
+        sendMessage: t.mock.method(bot, 'sendMessage', async () => ({})),
+        createChatInviteLink: t.mock.method(bot, 'createChatInviteLink', async () => ({ invite_link: inviteLink })),
+        banChatMember: t.mock.method(bot, 'banChatMember', async () => true),
+        unbanChatMember: t.mock.method(bot, 'unbanChatMember', async () => true),
+        getChatMember: t.mock.method(bot, 'getChatMember', async () => ({ status: 'left' }))
+    };
+}
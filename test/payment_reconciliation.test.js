@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileOrder, reconcilePendingPayments } from '../payment_reconciliation.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const payment = (fields = {}) => ({
+    order_id: 'order-1',
+    provider: 'nowpayments',
+    provider_payment_id: 'np-1',
+    payment_status: 'waiting',
+    ...fields
+});
+
+// A provider that reports `status` for every payment it is asked about
+const providerReporting = (status, extra = {}) => ({
+    asked: [],
+    async getPaymentStatus(row) {
+        this.asked.push(row.order_id);
+        if (status instanceof Error) throw status;
+        return { status, providerPaymentId: row.provider_payment_id, payload: { payment_status: status }, ...extra };
+    }
+});
+
+test('reconcileOrder reports unknown orders, checkouts that never reached the provider and providers without lookups', async () => {
+    const providers = { nowpayments: providerReporting('finished'), transfi: { name: 'transfi' } };
+
+    assert.deepEqual(await reconcileOrder(fakePool(), providers, 'order-1'), { orderId: 'order-1', outcome: 'not_found' });
+
+    const notCreated = fakePool([[/FROM payments WHERE order_id/, [payment({ provider_payment_id: null })]]]);
+    assert.deepEqual(await reconcileOrder(notCreated, providers, 'order-1'), { orderId: 'order-1', previousStatus: 'waiting', outcome: 'not_created' });
+
+    const transfi = fakePool([[/FROM payments WHERE order_id/, [payment({ provider: 'transfi' })]]]);
+    assert.deepEqual(await reconcileOrder(transfi, providers, 'order-1'), { orderId: 'order-1', previousStatus: 'waiting', outcome: 'unsupported_provider' });
+
+    assert.deepEqual(providers.nowpayments.asked, []);
+});
+
+test('reconcileOrder records a changed status in the ledger as coming from reconciliation', async (t) => {
+    mockBot(t);
+    const pool = fakePool([
+        [/SELECT \* FROM payments WHERE order_id/, [payment()]],
+        [/UPDATE payments/, [{ id: 1 }]]
+    ]);
+
+    const result = await reconcileOrder(pool, { nowpayments: providerReporting('confirming') }, 'order-1');
+
+    assert.deepEqual(result, { orderId: 'order-1', previousStatus: 'waiting', status: 'confirming', outcome: 'ignored' });
+    const update = pool.find(/UPDATE payments/);
+    assert.equal(update.params[1], 'confirming');
+    assert.equal(JSON.parse(update.params[6])[0].source, 'reconciliation');
+});
+
+test('reconcileOrder applies a completed status even when the ledger already has it', async (t) => {
+    mockBot(t);
+    const pool = fakePool([
+        [/SELECT \* FROM payments WHERE order_id/, [payment({ payment_status: 'finished' })]],
+        [/UPDATE vouchers SET status = 'available'/, [{ id: 3, order_id: 'order-1', purchaser_chat_id: null }]]
+    ]);
+
+    const result = await reconcileOrder(pool, { nowpayments: providerReporting('finished') }, 'order-1');
+
+    assert.equal(result.outcome, 'voucher_issued');
+    // Unchanged, so nothing new goes into the ledger
+    assert.ok(!pool.has(/UPDATE payments/));
+});
+
+test('reconcilePendingPayments only asks providers that can be asked, and carries on past failures', async (t) => {
+    mockBot(t);
+    const providers = {
+        nowpayments: {
+            async getPaymentStatus(row) {
+                if (row.order_id === 'order-2') throw new Error('timeout');
+                return { status: 'finished', providerPaymentId: row.provider_payment_id, payload: {} };
+            }
+        },
+        transfi: { name: 'transfi' }
+    };
+    const pool = fakePool([
+        [/SELECT p.order_id/, [{ order_id: 'order-1' }, { order_id: 'order-2' }, { order_id: 'order-3' }]],
+        [/SELECT \* FROM payments WHERE order_id/, (params) => [payment({ order_id: params[0], provider_payment_id: `np-${params[0]}` })]],
+        [/UPDATE payments/, [{ id: 1 }]],
+        [/UPDATE vouchers SET status = 'available'/, (params) => [{ id: 3, order_id: params[0], purchaser_chat_id: null }]]
+    ]);
+
+    const summary = await reconcilePendingPayments(pool, providers, { lookbackHours: 12 });
+
+    assert.deepEqual(summary, { checked: 3, activated: 2, failed: 1 });
+    const pending = pool.find(/SELECT p.order_id/).params;
+    assert.equal(pending[0], 12);
+    assert.ok(pending[1].includes('refunding'));
+    assert.deepEqual(pending[2], ['nowpayments']);
+});
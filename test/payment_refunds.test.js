@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { refundPayment } from '../payment_refunds.js';
+import { fakePool } from './helpers/fake_pool.js';
+
+const payment = (fields = {}) => ({
+    id: 7,
+    order_id: 'order-7',
+    provider: 'sandbox',
+    provider_payment_id: 'sb-7',
+    payment_status: 'finished',
+    provider_refund: null,
+    is_gift: false,
+    ...fields
+});
+
+// A provider whose refund() answers `answer`, counting its calls
+const providerAnswering = (answer) => ({
+    calls: 0,
+    async refund() {
+        this.calls += 1;
+        if (answer instanceof Error) throw answer;
+        return answer;
+    }
+});
+
+// One payments row that the claim and the provider_refund update write to
+function paymentsWith(row, answers = []) {
+    return fakePool([
+        [/SELECT \* FROM payments WHERE id/, () => [{ ...row }]],
+        [/SET payment_status = 'refunding'/, (params) => {
+            const claimable = params[1].includes(row.payment_status) || (row.payment_status === 'refunding' && row.provider_refund);
+            if (!claimable) return [];
+            row.payment_status = 'refunding';
+            return [{ ...row }];
+        }],
+        [/SET provider_refund/, (params) => {
+            row.provider_refund = JSON.parse(params[1]);
+            return [];
+        }],
+        [/SET payment_status = \$2 WHERE id = \$1 AND payment_status = 'refunding'/, (params) => {
+            row.payment_status = params[1];
+            return [];
+        }],
+        ...answers
+    ]);
+}
+
+const REFUND = { reason: 'Duplicate payment', refundedBy: 'alice' };
+
+test('refunds a completed gift payment through the provider and voids its voucher', async () => {
+    const row = payment({ is_gift: true });
+    const pool = paymentsWith(row, [[/UPDATE vouchers v SET status = 'void'/, [{ id: 3, previous_status: 'pending' }]]]);
+    const sandbox = providerAnswering({ ok: true, message: 'Sandbox refund sent.' });
+
+    const refund = await refundPayment(pool, { sandbox }, 7, REFUND);
+
+    assert.equal(refund.status, 'refunded');
+    assert.equal(refund.access, 'voucher_voided');
+    assert.equal(sandbox.calls, 1);
+    assert.deepEqual(row.provider_refund, { ok: true, message: 'Sandbox refund sent.' });
+    const ledger = pool.find(/WITH current AS/);
+    assert.equal(ledger.params[1], 'refunded');
+    assert.equal(JSON.parse(ledger.params[6])[0].source, 'admin');
+});
+
+test('refuses unknown, uncompleted and already refunded payments', async () => {
+    const sandbox = providerAnswering({ ok: true, message: 'Sandbox refund sent.' });
+
+    assert.deepEqual(await refundPayment(fakePool(), { sandbox }, 7, REFUND), { status: 'not_found' });
+    assert.equal((await refundPayment(paymentsWith(payment({ payment_status: 'waiting' })), { sandbox }, 7, REFUND)).status, 'not_refundable');
+    assert.equal((await refundPayment(paymentsWith(payment({ payment_status: 'refunded' })), { sandbox }, 7, REFUND)).status, 'already_refunded');
+    // Claimed by another refund whose provider call has not answered yet
+    assert.equal((await refundPayment(paymentsWith(payment({ payment_status: 'refunding' })), { sandbox }, 7, REFUND)).status, 'in_progress');
+    assert.equal(sandbox.calls, 0);
+});
+
+test('gives the claim back when the provider refund fails', async () => {
+    const row = payment();
+    const pool = paymentsWith(row);
+
+    await assert.rejects(refundPayment(pool, { sandbox: providerAnswering(new Error('provider down')) }, 7, REFUND), /provider down/);
+
+    assert.equal(row.payment_status, 'finished');
+    assert.equal(row.provider_refund, null);
+});
+
+test('a refund that fails after the provider step is finished by refunding again, without a second provider refund', async () => {
+    const row = payment();
+    let revokeAttempts = 0;
+    const pool = paymentsWith(row, [
+        [/FROM payment_activations/, () => {
+            revokeAttempts += 1;
+            if (revokeAttempts === 1) throw new Error('connection reset');
+            return [];
+        }]
+    ]);
+    const sandbox = providerAnswering({ ok: true, message: 'Sandbox refund sent.' });
+
+    const first = await refundPayment(pool, { sandbox }, 7, REFUND);
+    assert.equal(first.status, 'incomplete');
+    assert.equal(first.error, 'connection reset');
+    assert.equal(first.providerRefund.ok, true);
+    assert.equal(row.payment_status, 'refunding');
+    assert.ok(!pool.has(/WITH current AS/));
+
+    const second = await refundPayment(pool, { sandbox }, 7, REFUND);
+    assert.equal(second.status, 'refunded');
+    assert.equal(second.access, 'not_activated');
+    assert.deepEqual(second.providerRefund, { ok: true, message: 'Sandbox refund sent.' });
+    assert.equal(sandbox.calls, 1);
+    assert.ok(pool.has(/WITH current AS/));
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PAYMENT_STATUS_RANK, recordPaymentAttempt, recordPaymentEvent } from '../payments_ledger.js';
+import { COMPLETED_PAYMENT_STATUSES, DEAD_PAYMENT_STATUSES } from '../payment_outcomes.js';
+import { fakePool } from './helpers/fake_pool.js';
+
+const rank = (status) => PAYMENT_STATUS_RANK[status] || 0;
+
+// One payments row, updated the way recordPaymentEvent's UPDATE does: the
+// status and payload only move forward by rank, the history takes everything
+function ledgerWith(row) {
+    const pool = fakePool([
+        [/UPDATE payments/, (params) => {
+            if (!row) return [];
+            const ranks = JSON.parse(params[9]);
+            const forward = params[8] >= (ranks[row.payment_status] || 0);
+            if (forward) {
+                row.payment_status = params[1];
+                row.ipn_payload = JSON.parse(params[5]);
+            }
+            row.ipn_history.push(...JSON.parse(params[6]));
+            return [row];
+        }]
+    ]);
+    return { pool, row };
+}
+
+const event = (status, payload = { payment_status: status }) => ({ provider: 'nowpayments', orderId: 'order-1', providerPaymentId: 42, status, payload });
+
+test('every completed status outranks the statuses before it, and refunds outrank completion', () => {
+    const completed = Object.values(COMPLETED_PAYMENT_STATUSES).flat();
+    for (const status of completed) {
+        for (const earlier of ['initiated', 'waiting', 'confirming', 'partially_paid', 'sending', ...DEAD_PAYMENT_STATUSES]) {
+            assert.ok(rank(status) > rank(earlier), `${status} > ${earlier}`);
+        }
+        assert.ok(rank('refunding') > rank(status));
+    }
+    assert.ok(rank('refunded') > rank('refunding'));
+    assert.equal(rank('something_new'), 0);
+});
+
+test('a late webhook does not move a finished payment backwards, but is kept in the history', async () => {
+    const { pool, row } = ledgerWith({ payment_status: 'finished', ipn_payload: { payment_status: 'finished' }, ipn_history: [] });
+
+    await recordPaymentEvent(pool, event('confirming'));
+
+    assert.equal(row.payment_status, 'finished');
+    assert.deepEqual(row.ipn_payload, { payment_status: 'finished' });
+    assert.equal(row.ipn_history.length, 1);
+    assert.equal(row.ipn_history[0].status, 'confirming');
+    assert.equal(row.ipn_history[0].source, 'webhook');
+});
+
+test('webhooks move a payment forward, up to a refund', async () => {
+    const { pool, row } = ledgerWith({ payment_status: 'waiting', ipn_payload: null, ipn_history: [] });
+
+    for (const status of ['confirming', 'finished', 'refunded', 'finished']) {
+        await recordPaymentEvent(pool, event(status));
+    }
+
+    assert.equal(row.payment_status, 'refunded');
+    assert.deepEqual(row.ipn_history.map(entry => entry.status), ['confirming', 'finished', 'refunded', 'finished']);
+});
+
+test('a webhook for an order without a ledger row creates one', async () => {
+    const { pool } = ledgerWith(null);
+
+    await recordPaymentEvent(pool, { ...event('finished'), source: 'reconciliation' });
+
+    const insert = pool.find(/INSERT INTO payments/);
+    assert.deepEqual(insert.params.slice(0, 6), ['nowpayments', 'order-1', '42', null, null, 'finished']);
+    assert.equal(JSON.parse(insert.params[7])[0].source, 'reconciliation');
+});
+
+
+test('recordPaymentAttempt returns null when the quote was already redeemed', async () => {
+    const attempt = { provider: 'nowpayments', orderId: 'order-2', telegramHandle: '@trader', planName: 'Pro', planId: 2, priceAmount: 80, source: 'web', quoteId: 'q1' };
+
+    const taken = fakePool([[/INSERT INTO payments/, []]]);
+    assert.equal(await recordPaymentAttempt(taken, attempt), null);
+    assert.equal(taken.queries[0].params.at(-1), 'q1');
+
+    const free = fakePool([[/INSERT INTO payments/, [{ id: 7, order_id: 'order-2' }]]]);
+    assert.deepEqual(await recordPaymentAttempt(free, attempt), { id: 7, order_id: 'order-2' });
+});
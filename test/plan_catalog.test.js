@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getUserPlan, updatePlan } from '../plan_catalog.js';
+import { fakePool } from './helpers/fake_pool.js';
+
+const BASIC = {
+    id: 4,
+    plan_name: 'Basic',
+    price: '90.00',
+    term: 'Monthly',
+    description: 'Signals',
+    features: ['Signals'],
+    is_best_value: false,
+    telegram_group_id: '-100',
+    commission_rate: '0.2',
+    duration_unit: 'months',
+    duration_value: 1,
+    is_trial: false,
+    is_archived: false,
+    version: 2,
+    plan_family_id: 1
+};
+
+// The form sends every column back, numbers as strings
+const edit = (changes = {}) => ({ ...BASIC, price: '90', duration_value: '1', ...changes });
+
+function catalogWith(plan, answers = []) {
+    return fakePool([
+        [/SELECT \* FROM pricingplans WHERE id = \$1 FOR UPDATE/, plan ? [plan] : []],
+        [/INSERT INTO pricingplans/, (params) => [{ id: 9, plan_name: params[0], price: params[1], version: params[11] }]],
+        [/UPDATE pricingplans\s+SET plan_name = \$1, description/, (params) => [{ ...plan, description: params[1] }]],
+        ...answers
+    ]);
+}
+
+test('descriptive changes update the version on sale in place', async () => {
+    const pool = catalogWith(BASIC);
+    const result = await updatePlan(pool, 4, edit({ description: 'Signals and charts' }));
+
+    assert.equal(result.status, 'updated');
+    assert.equal(result.plan.id, 4);
+    assert.equal(result.plan.description, 'Signals and charts');
+    assert.ok(!pool.has(/INSERT INTO pricingplans/));
+    assert.ok(pool.has(/COMMIT/));
+    assert.equal(pool.released, 1);
+});
+
+test('a new price archives the version and creates the next one', async () => {
+    const pool = catalogWith(BASIC);
+    const result = await updatePlan(pool, 4, edit({ price: '120' }));
+
+    assert.equal(result.status, 'versioned');
+    assert.equal(result.before.id, 4);
+    assert.equal(result.plan.id, 9);
+    assert.equal(result.plan.version, 3);
+    assert.deepEqual(pool.find(/SET is_archived = true/).params, [4]);
+    assert.deepEqual(pool.find(/SET superseded_by/).params, [9, 4]);
+    // Same family, so the users on the old version still find the plan by name
+    assert.equal(pool.find(/INSERT INTO pricingplans/).params[12], 1);
+});
+
+test('switching to a lifetime duration is a new version without a duration value', async () => {
+    const pool = catalogWith(BASIC);
+    const result = await updatePlan(pool, 4, edit({ duration_unit: 'lifetime', duration_value: '1' }));
+
+    assert.equal(result.status, 'versioned');
+    const insert = pool.find(/INSERT INTO pricingplans/).params;
+    assert.equal(insert[8], 'lifetime');
+    assert.equal(insert[9], null);
+});
+
+test('a rename applies to every version of the plan and its users', async () => {
+    const pool = catalogWith(BASIC);
+    const result = await updatePlan(pool, 4, edit({ plan_name: 'Starter' }));
+
+    assert.equal(result.status, 'updated');
+    assert.deepEqual(pool.find(/UPDATE pricingplans SET plan_name = \$1 WHERE plan_family_id/).params, ['Starter', 1]);
+    assert.deepEqual(pool.find(/UPDATE users SET plan_name/).params, ['Starter', 1]);
+});
+
+test('refuses a name another plan on sale already has, changing nothing', async () => {
+    const pool = catalogWith(BASIC, [[/SELECT 1 FROM pricingplans WHERE plan_name/, [{ '?column?': 1 }]]]);
+    const result = await updatePlan(pool, 4, edit({ plan_name: 'Pro', price: '120' }));
+
+    assert.equal(result.status, 'name_taken');
+    assert.deepEqual(pool.find(/SELECT 1 FROM pricingplans WHERE plan_name/).params, ['Pro', 1]);
+    assert.ok(!pool.has(/^UPDATE/));
+    assert.ok(!pool.has(/INSERT/));
+    assert.ok(pool.has(/ROLLBACK/));
+});
+
+test('refuses unknown and archived versions', async () => {
+    assert.equal((await updatePlan(catalogWith(null), 4, edit())).status, 'not_found');
+    const archived = catalogWith({ ...BASIC, is_archived: true });
+    assert.equal((await updatePlan(archived, 4, edit({ price: '120' }))).status, 'archived');
+    assert.ok(!archived.has(/INSERT/));
+});
+
+test('getUserPlan falls back to the version on sale for users without a plan id', async () => {
+    const pool = fakePool([
+        [/WHERE id = \$1/, (params) => params[0] === 4 ? [BASIC] : []],
+        [/WHERE plan_name = \$1 AND NOT is_archived/, [{ ...BASIC, id: 5 }]]
+    ]);
+    assert.equal((await getUserPlan(pool, { plan_id: 4, plan_name: 'Basic' })).id, 4);
+    assert.equal((await getUserPlan(pool, { plan_id: null, plan_name: 'Basic' })).id, 5);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { quotePlanChange } from '../plan_changes.js';
+import { fakePool } from './helpers/fake_pool.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A 30-day plan with `days` left (and a little less, so it rounds up to `days`)
+const currentPlan = (days, fields = {}) => ({
+    id: 11,
+    plan_name: 'Basic',
+    subscription_expiration: new Date(Date.now() + days * DAY_MS - 60 * 60 * 1000),
+    price: '90',
+    duration_unit: 'days',
+    duration_value: 30,
+    amount_paid: null,
+    ...fields
+});
+
+const TARGET = { id: 3, plan_name: 'Pro', price: '120', duration_unit: 'days', duration_value: 30 };
+
+// The subscriber's current plan, as quotePlanChange's query returns it
+const subscribed = (rows) => fakePool([[/FROM users u/, rows]]);
+
+test('returns null without another active plan', async () => {
+    const pool = subscribed([]);
+    assert.equal(await quotePlanChange(pool, { telegramHandle: ' @trader ', targetPlan: TARGET, newPrice: 120 }), null);
+    assert.deepEqual(pool.queries[0].params, ['@trader', 'Pro']);
+});
+
+test('credits the unused days at what was paid for the current plan', async () => {
+    const pool = subscribed([currentPlan(15, { amount_paid: '60' })]);
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: TARGET, newPrice: 120 });
+
+    assert.deepEqual(quote, {
+        fromUserId: 11,
+        fromPlanName: 'Basic',
+        remainingDays: 15,
+        credit: 30,
+        newPrice: 120,
+        amountDue: 90,
+        extraDays: 0
+    });
+});
+
+test('falls back to the list price when no payment was recorded', async () => {
+    const pool = subscribed([currentPlan(15)]);
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: TARGET, newPrice: 120 });
+    assert.equal(quote.credit, 45);
+    assert.equal(quote.amountDue, 75);
+});
+
+test('credits nothing for a plan that was paid nothing', async () => {
+    const pool = subscribed([currentPlan(15, { amount_paid: '0' })]);
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: TARGET, newPrice: 120 });
+    assert.equal(quote.credit, 0);
+    assert.equal(quote.amountDue, 120);
+});
+
+test('turns a credit larger than the new price into extra days', async () => {
+    const pool = subscribed([currentPlan(20, { amount_paid: '90' })]);
+    const target = { ...TARGET, plan_name: 'Lite', price: '30' };
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: target, newPrice: 30 });
+
+    // 20 days at 3/day = 60 credit, 30 of it surplus, at 1/day on the new plan
+    assert.equal(quote.credit, 60);
+    assert.equal(quote.amountDue, 0);
+    assert.equal(quote.extraDays, 30);
+});
+
+test('gives no extra days on a lifetime target', async () => {
+    const pool = subscribed([currentPlan(20, { amount_paid: '90' })]);
+    const target = { ...TARGET, plan_name: 'Forever', price: '30', duration_unit: 'lifetime', duration_value: null };
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: target, newPrice: 30 });
+    assert.equal(quote.amountDue, 0);
+    assert.equal(quote.extraDays, 0);
+});
+
+test('credits a lifetime plan at what was paid for it', async () => {
+    const pool = subscribed([currentPlan(3000, { duration_unit: 'lifetime', duration_value: null, price: '500', amount_paid: '400' })]);
+    const quote = await quotePlanChange(pool, { telegramHandle: 'trader', targetPlan: { ...TARGET, price: '1000' }, newPrice: 1000 });
+    assert.equal(quote.credit, 400);
+    assert.equal(quote.amountDue, 600);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addPlanDuration, getPlanDuration, getPlanTermDays, LIFETIME_EXPIRATION, validatePlanDuration } from '../plan_durations.js';
+
+// Midday, so the date is the same in every time zone the server might run in
+const START = '2026-01-15T12:00:00Z';
+
+test('plans saved before durations existed run for one month', () => {
+    assert.deepEqual(getPlanDuration({}), { unit: 'months', value: 1 });
+    assert.deepEqual(getPlanDuration({ duration_unit: 'weeks', duration_value: 2 }), { unit: 'months', value: 2 });
+    assert.deepEqual(getPlanDuration({ duration_unit: 'days', duration_value: '0' }), { unit: 'days', value: 1 });
+    assert.deepEqual(getPlanDuration({ duration_unit: 'lifetime', duration_value: 12 }), { unit: 'lifetime', value: null });
+});
+
+test('validatePlanDuration accepts whole terms and lifetime, and explains anything else', () => {
+    assert.equal(validatePlanDuration('days', 30), null);
+    assert.equal(validatePlanDuration('months', '3'), null);
+    assert.equal(validatePlanDuration('lifetime', undefined), null);
+    assert.equal(validatePlanDuration('weeks', 2), 'duration_unit must be one of days, months, lifetime.');
+    for (const value of [0, -1, 1.5, 'abc', undefined]) {
+        assert.equal(validatePlanDuration('days', value), 'duration_value must be a whole number of at least 1.', String(value));
+    }
+});
+
+test('addPlanDuration adds days or calendar months, plus extra days', () => {
+    assert.equal(addPlanDuration(START, { duration_unit: 'days', duration_value: 30 }), '2026-02-14');
+    assert.equal(addPlanDuration(START, { duration_unit: 'months', duration_value: 1 }), '2026-02-15');
+    assert.equal(addPlanDuration(START, { duration_unit: 'months', duration_value: 12 }), '2027-01-15');
+    assert.equal(addPlanDuration(START, { duration_unit: 'months', duration_value: 1 }, 5), '2026-02-20');
+});
+
+test('a lifetime plan never ends, whatever the start or extra days', () => {
+    const lifetime = { duration_unit: 'lifetime', duration_value: null };
+    assert.equal(addPlanDuration(START, lifetime, 30), LIFETIME_EXPIRATION);
+    assert.equal(getPlanTermDays(lifetime), null);
+});
+
+test('getPlanTermDays counts a term in days from today', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(START).getTime() });
+    assert.equal(getPlanTermDays({ duration_unit: 'days', duration_value: 90 }), 90);
+    // January has 31 days, February 2026 has 28
+    assert.equal(getPlanTermDays({ duration_unit: 'months', duration_value: 1 }), 31);
+    assert.equal(getPlanTermDays({ duration_unit: 'months', duration_value: 2 }), 59);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signPriceQuote, verifyPriceQuote } from '../price_quotes.js';
+
+const SECRET = 'test-secret';
+
+// Re-encodes a token's payload with changes, keeping the original signature
+const tamper = (token, changes) => {
+    const [payload, signature] = token.split('.');
+    const quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return `${Buffer.from(JSON.stringify({ ...quote, ...changes })).toString('base64url')}.${signature}`;
+};
+
+test('a signed quote verifies with its id and expiry', () => {
+    const { token, quote } = signPriceQuote({ planId: 3, price: 49.5 }, SECRET, 10);
+    assert.equal(quote.planId, 3);
+    assert.equal(quote.price, 49.5);
+    assert.match(quote.id, /^[0-9a-f]{24}$/);
+    assert.ok(quote.expiresAt > Date.now());
+
+    assert.deepEqual(verifyPriceQuote(token, SECRET), { status: 'valid', quote });
+});
+
+test('every quote gets its own id', () => {
+    const first = signPriceQuote({ price: 10 }, SECRET, 10);
+    const second = signPriceQuote({ price: 10 }, SECRET, 10);
+    assert.notEqual(first.quote.id, second.quote.id);
+    assert.notEqual(first.token, second.token);
+});
+
+test('an edited price is invalid', () => {
+    const { token } = signPriceQuote({ price: 49.5 }, SECRET, 10);
+    assert.deepEqual(verifyPriceQuote(tamper(token, { price: 0.5 }), SECRET), { status: 'invalid' });
+});
+
+test('a quote signed with another secret is invalid', () => {
+    const { token } = signPriceQuote({ price: 49.5 }, 'other-secret', 10);
+    assert.deepEqual(verifyPriceQuote(token, SECRET), { status: 'invalid' });
+});
+
+test('an expired quote is reported as expired', () => {
+    const { token } = signPriceQuote({ price: 49.5 }, SECRET, -1);
+    assert.deepEqual(verifyPriceQuote(token, SECRET), { status: 'expired' });
+});
+
+test('malformed tokens are invalid', () => {
+    const { token } = signPriceQuote({ price: 49.5 }, SECRET, 10);
+    const [payload, signature] = token.split('.');
+    for (const malformed of [undefined, null, 42, '', payload, `${payload}.`, `.${signature}`, `${token}.extra`]) {
+        assert.deepEqual(verifyPriceQuote(malformed, SECRET), { status: 'invalid' }, `token: ${malformed}`);
+    }
+});
+
+test('a signature with multibyte characters is invalid instead of throwing', () => {
+    const { token } = signPriceQuote({ price: 49.5 }, SECRET, 10);
+    const [payload, signature] = token.split('.');
+    assert.deepEqual(verifyPriceQuote(`${payload}.${'é'.repeat(signature.length)}`, SECRET), { status: 'invalid' });
+});
+
+test('a correctly signed payload that is not a quote is invalid', () => {
+    // Signed the way price_quotes.js signs, but without expiresAt
+    const payload = Buffer.from(JSON.stringify({ price: 49.5 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+    assert.deepEqual(verifyPriceQuote(`${payload}.${signature}`, SECRET), { status: 'invalid' });
+});
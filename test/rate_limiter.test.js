@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createRateLimiter } from '../rate_limiter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const limiter = (options = {}) => createRateLimiter({
+    name: 'test',
+    windowMs: 10 * MINUTE_MS,
+    maxPerIp: 3,
+    maxPerIdentity: 2,
+    lockoutMs: 15 * MINUTE_MS,
+    ...options
+});
+
+// Runs one request through the middleware. Returns whether it got through and,
+// for requests that did, finish(status) to end the response with that status.
+function send(middleware, { ip = '10.0.0.1', body = {} } = {}) {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+
+    let passed = false;
+    middleware({ ip, body }, res, () => { passed = true; });
+    return {
+        passed,
+        res,
+        finish(status) {
+            res.statusCode = status;
+            res.emit('finish');
+        }
+    };
+}
+
+test('locks an IP out once it goes over the limit', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter();
+    for (let i = 0; i < 3; i++) assert.equal(send(rateLimit).passed, true);
+
+    const refused = send(rateLimit);
+    assert.equal(refused.passed, false);
+    assert.equal(refused.res.statusCode, 429);
+    assert.equal(refused.res.headers['Retry-After'], String(15 * 60));
+    assert.equal(refused.res.body.retry_after_seconds, 15 * 60);
+
+    // Other IPs are not affected
+    assert.equal(send(rateLimit, { ip: '10.0.0.2' }).passed, true);
+});
+
+test('lets the IP back in once the lockout is over', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter();
+    for (let i = 0; i < 4; i++) send(rateLimit);
+
+    t.mock.timers.tick(15 * MINUTE_MS - 1000);
+    assert.equal(send(rateLimit).passed, false);
+    t.mock.timers.tick(1000);
+    assert.equal(send(rateLimit).passed, true);
+});
+
+test('limits an identity across IPs and reports the lockout', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const lockouts = [];
+    const rateLimit = limiter({
+        identity: (req) => req.body.username,
+        onLockout: (req, details) => lockouts.push(details)
+    });
+
+    assert.equal(send(rateLimit, { ip: '10.0.0.1', body: { username: 'Alice' } }).passed, true);
+    assert.equal(send(rateLimit, { ip: '10.0.0.2', body: { username: 'alice' } }).passed, true);
+    assert.equal(send(rateLimit, { ip: '10.0.0.3', body: { username: 'ALICE' } }).passed, false);
+
+    assert.equal(lockouts.length, 1);
+    assert.equal(lockouts[0].limiter, 'test');
+    assert.equal(lockouts[0].key, 'id:alice');
+    assert.equal(lockouts[0].attempts, 3);
+});
+
+test('skipIpLimit limits a request by identity only', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter({ identity: (req) => req.body.user, skipIpLimit: () => true, maxPerIdentity: 5 });
+    for (let i = 0; i < 5; i++) assert.equal(send(rateLimit, { body: { user: `u${i}` } }).passed, true);
+    // Without an identity there is nothing to count
+    assert.equal(send(rateLimit).passed, true);
+});
+
+test('failuresOnly gives successful attempts their place back', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter({ failuresOnly: true });
+    for (let i = 0; i < 10; i++) {
+        const attempt = send(rateLimit);
+        assert.equal(attempt.passed, true, `attempt ${i + 1}`);
+        attempt.finish(200);
+    }
+    for (let i = 0; i < 3; i++) send(rateLimit).finish(401);
+    assert.equal(send(rateLimit).passed, false);
+});
+
+test('failuresOnly counts attempts still in flight, so a burst cannot get past the limit', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter({ failuresOnly: true });
+    const burst = Array.from({ length: 10 }, () => send(rateLimit));
+    assert.equal(burst.filter(attempt => attempt.passed).length, 3);
+});
+
+test('resetOnSuccess clears the identity after a successful attempt', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const rateLimit = limiter({ identity: (req) => req.body.username, failuresOnly: true, resetOnSuccess: true, maxPerIp: 100 });
+    const login = (status) => send(rateLimit, { body: { username: 'alice' } }).finish(status);
+
+    login(401);
+    login(200);
+    login(401);
+    // Only the failure since the success counts; without the reset this would be the third
+    assert.equal(send(rateLimit, { body: { username: 'alice' } }).passed, true);
+});
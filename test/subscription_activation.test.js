@@ -0,0 +1,236 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { activateSubscription, revokeSubscription } from '../subscription_activation.js';
+import { addPlanDuration } from '../plan_durations.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAN = { id: 2, plan_name: 'Pro', price: '100', commission_rate: '0.10', telegram_group_id: '-1002', duration_unit: 'days', duration_value: 30 };
+
+const user = (fields = {}) => ({
+    id: 5,
+    order_id: 'order-1',
+    telegram_handle: '@trader',
+    telegram_user_id: '555',
+    telegram_chat_id: null,
+    plan_name: 'Pro',
+    plan_id: 2,
+    subscription_status: 'pending',
+    subscription_expiration: null,
+    registration_source: 'web',
+    referred_by: null,
+    coupon_code: null,
+    ...fields
+});
+
+const activationAnswers = (userRow, extra = []) => [
+    ...extra,
+    [/INSERT INTO payment_activations/, [{ id: 40 }]],
+    [/SELECT \* FROM users WHERE order_id/, [userRow]],
+    [/FROM payments WHERE order_id/, [{ price_amount: '80', plan_id: 2, plan_change_from_user_id: null, plan_change_extra_days: null }]],
+    [/FROM pricingplans WHERE id/, [PLAN]]
+];
+
+const PAYMENT = { provider: 'nowpayments', providerPaymentId: 'np-1', orderId: 'order-1' };
+
+test('activateSubscription ignores a payment that was already activated', async (t) => {
+    mockBot(t);
+    const pool = fakePool([[/INSERT INTO payment_activations/, []]]);
+
+    assert.deepEqual(await activateSubscription(pool, PAYMENT), { status: 'duplicate' });
+    assert.deepEqual(pool.queries.map(({ sql }) => sql.split('\n')[0].trim()), [
+        'BEGIN',
+        'INSERT INTO payment_activations (provider, provider_payment_id, order_id)',
+        'ROLLBACK'
+    ]);
+    assert.deepEqual(pool.queries[1].params, ['nowpayments', 'np-1', 'order-1']);
+    assert.equal(pool.released, 1);
+});
+
+test('activateSubscription reports an order without a user', async (t) => {
+    mockBot(t);
+    const pool = fakePool([[/INSERT INTO payment_activations/, [{ id: 40 }]]]);
+
+    assert.deepEqual(await activateSubscription(pool, PAYMENT), { status: 'not_found' });
+    assert.ok(pool.has(/^ROLLBACK$/));
+    assert.ok(!pool.has(/^COMMIT$/));
+    assert.equal(pool.released, 1);
+});
+
+test('activateSubscription activates a new web user and leaves them an invite link', async (t) => {
+    const telegram = mockBot(t);
+    const pool = fakePool(activationAnswers(user()));
+
+    const result = await activateSubscription(pool, PAYMENT);
+    const expected = addPlanDuration(new Date(), PLAN);
+
+    assert.equal(result.status, 'activated');
+    assert.equal(result.renewal, false);
+    assert.equal(result.subscriptionExpiration, expected);
+    assert.deepEqual(pool.find(/SET subscription_status = 'active'/).params, [expected, 2, 5]);
+
+    assert.deepEqual(telegram.createChatInviteLink.mock.calls[0].arguments, ['-1002', { member_limit: 1 }]);
+    assert.deepEqual(pool.find(/SET telegram_invite_token/).params, ['https://t.me/+invite', 5]);
+    assert.deepEqual(pool.find(/UPDATE coupons SET usage_count = COALESCE/).params, ['order-1']);
+
+    // The amount recorded for the checkout, with no referrer to pay
+    const activation = pool.find(/UPDATE payment_activations/).params;
+    assert.deepEqual(activation.slice(0, 4), [5, 80, expected, 'https://t.me/+invite']);
+    assert.equal(activation[5], 0);
+    assert.equal(activation.at(-1), 40);
+
+    assert.ok(pool.has(/^COMMIT$/));
+    assert.ok(!pool.has(/INSERT INTO referrals/));
+    assert.equal(telegram.sendMessage.mock.callCount(), 0);
+    assert.equal(pool.released, 1);
+});
+
+test('activateSubscription stacks a renewal on the current end date', async (t) => {
+    const telegram = mockBot(t);
+    const currentEnd = new Date(Date.now() + 10 * DAY_MS);
+    const renewing = user({ subscription_status: 'active', subscription_expiration: currentEnd, registration_source: 'bot', telegram_chat_id: '777' });
+    const pool = fakePool(activationAnswers(renewing));
+
+    const result = await activateSubscription(pool, PAYMENT);
+    const expected = addPlanDuration(currentEnd, PLAN);
+
+    assert.equal(result.renewal, true);
+    assert.equal(result.subscriptionExpiration, expected);
+    // Already in the group: no new invite, just the new end date
+    assert.equal(telegram.createChatInviteLink.mock.callCount(), 0);
+    assert.equal(telegram.sendMessage.mock.calls[0].arguments[0], '777');
+    assert.match(telegram.sendMessage.mock.calls[0].arguments[1], /Renewal confirmed/);
+
+    const activation = pool.find(/UPDATE payment_activations/).params;
+    assert.equal(activation[8], true);
+    assert.equal(activation[9], currentEnd.toISOString().split('T')[0]);
+});
+
+test('activateSubscription credits the referrer with a share of the amount paid', async (t) => {
+    const telegram = mockBot(t);
+    const pool = fakePool(activationAnswers(user({ referred_by: 9 }), [
+        [/RETURNING total_referral_earnings/, [{ total_referral_earnings: '48', telegram_chat_id: '999' }]],
+        [/RETURNING total_sales_for_bonus/, [{ total_sales_for_bonus: 3 }]],
+        [/FROM payouts/, [{ total_payouts: '0' }]]
+    ]));
+
+    await activateSubscription(pool, { ...PAYMENT, amountPaid: 80 });
+
+    assert.deepEqual(pool.find(/INSERT INTO referrals/).params, [9, 5, 8]);
+    const activation = pool.find(/UPDATE payment_activations/).params;
+    assert.deepEqual(activation.slice(4, 8), [9, 8, false, true]);
+
+    // The referrer is told after the commit
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(telegram.sendMessage.mock.calls[0].arguments[0], '999');
+    assert.match(telegram.sendMessage.mock.calls[0].arguments[1], /earned \$8\.00/);
+});
+
+test('activateSubscription rolls back when the plan is missing', async (t) => {
+    mockBot(t);
+    const pool = fakePool([
+        [/INSERT INTO payment_activations/, [{ id: 40 }]],
+        [/SELECT \* FROM users WHERE order_id/, [user()]]
+    ]);
+
+    await assert.rejects(activateSubscription(pool, PAYMENT), /Plan details not found/);
+    assert.ok(pool.has(/^ROLLBACK$/));
+    assert.ok(!pool.has(/^COMMIT$/));
+    assert.equal(pool.released, 1);
+});
+
+const activation = (fields = {}) => ({
+    id: 40,
+    user_id: 5,
+    order_id: 'order-1',
+    is_renewal: false,
+    previous_expiration: null,
+    subscription_expiration: null,
+    referrer_id: null,
+    commission_amount: '0',
+    bonus_awarded: false,
+    counted_for_bonus: false,
+    revoked_at: null,
+    ...fields
+});
+
+const revocationAnswers = (activationRow, userRow, extra = []) => [
+    ...extra,
+    [/SELECT \* FROM payment_activations/, [activationRow]],
+    [/SELECT \* FROM users WHERE id/, [userRow]],
+    [/FROM pricingplans WHERE id/, [PLAN]]
+];
+
+const REFUND = { provider: 'nowpayments', orderId: 'order-1', reason: 'admin_refund' };
+
+test('revokeSubscription does nothing for an order that never activated', async (t) => {
+    mockBot(t);
+    const pool = fakePool([]);
+
+    assert.deepEqual(await revokeSubscription(pool, REFUND), { status: 'not_activated' });
+    assert.ok(pool.has(/^ROLLBACK$/));
+    assert.equal(pool.released, 1);
+});
+
+test('revokeSubscription only revokes an activation once', async (t) => {
+    mockBot(t);
+    const pool = fakePool([[/SELECT \* FROM payment_activations/, [activation({ revoked_at: new Date() })]]]);
+
+    assert.deepEqual(await revokeSubscription(pool, REFUND), { status: 'already_revoked' });
+    assert.ok(!pool.has(/UPDATE users/));
+    assert.equal(pool.released, 1);
+});
+
+test('revokeSubscription ends the subscription and removes the user from the group', async (t) => {
+    const telegram = mockBot(t);
+    const pool = fakePool(revocationAnswers(activation(), user({ subscription_status: 'active', telegram_chat_id: '777' })));
+
+    const result = await revokeSubscription(pool, REFUND);
+
+    assert.equal(result.status, 'revoked');
+    assert.equal(result.remainingExpiration, null);
+    assert.equal(result.reversal, null);
+    assert.deepEqual(pool.find(/SET subscription_status = 'refunded'/).params, [5]);
+    assert.deepEqual(pool.find(/SET revoked_at = NOW\(\)/).params, ['admin_refund', 0, 40]);
+    assert.deepEqual(pool.find(/UPDATE coupons SET usage_count = GREATEST/).params, ['order-1']);
+    assert.ok(pool.has(/^COMMIT$/));
+
+    assert.deepEqual(telegram.banChatMember.mock.calls[0].arguments, ['-1002', '555']);
+    assert.deepEqual(telegram.unbanChatMember.mock.calls[0].arguments, ['-1002', '555']);
+    assert.match(telegram.sendMessage.mock.calls[0].arguments[1], /VIP access has ended/);
+});
+
+test('revokeSubscription only takes back the term of a refunded renewal', async (t) => {
+    const telegram = mockBot(t);
+    const pool = fakePool(revocationAnswers(
+        activation({ is_renewal: true, previous_expiration: '2026-11-20', subscription_expiration: '2026-12-20' }),
+        user({ subscription_status: 'active', telegram_chat_id: '777' }),
+        [[/RETURNING to_char/, [{ subscription_expiration: '2026-11-20' }]]]
+    ));
+
+    const result = await revokeSubscription(pool, REFUND);
+
+    assert.equal(result.remainingExpiration, '2026-11-20');
+    assert.ok(!pool.has(/SET subscription_status = 'refunded'/));
+    assert.equal(telegram.banChatMember.mock.callCount(), 0);
+    assert.match(telegram.sendMessage.mock.calls[0].arguments[1], /now ends on 2026-11-20/);
+});
+
+test("revokeSubscription reverses the referrer's commission", async (t) => {
+    mockBot(t);
+    const pool = fakePool(revocationAnswers(
+        activation({ referrer_id: 9, commission_amount: '8', counted_for_bonus: true }),
+        user({ subscription_status: 'active' }),
+        [[/RETURNING telegram_chat_id/, [{ telegram_chat_id: null }]]]
+    ));
+
+    const result = await revokeSubscription(pool, REFUND);
+
+    assert.deepEqual(pool.find(/INSERT INTO referrals/).params, [9, 5, -8]);
+    assert.deepEqual(pool.find(/total_referral_earnings - \$1/).params, [8, 9]);
+    assert.ok(pool.has(/GREATEST\(total_sales_for_bonus - 1, 0\)/));
+    assert.deepEqual(pool.find(/SET revoked_at = NOW\(\)/).params, ['admin_refund', 8, 40]);
+    assert.equal(result.reversal.amountReversed, 8);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expireSubscriptions } from '../subscription_expiry.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const expiredUser = (fields = {}) => ({
+    id: 31,
+    telegram_handle: '@trader',
+    telegram_user_id: 777,
+    telegram_chat_id: 555,
+    plan_name: 'Pro',
+    plan_id: 8,
+    telegram_group_id: '-100200',
+    is_trial: false,
+    ...fields
+});
+
+function expiryWith(users, answers = []) {
+    return fakePool([
+        [/FROM users u\s+LEFT JOIN pricingplans/, users],
+        [/FROM pricingplans WHERE NOT is_archived AND NOT is_trial/, [{ id: 8, plan_name: 'Pro', price: '120', term: 'Monthly' }]],
+        ...answers
+    ]);
+}
+
+const expiredIds = (pool) => pool.findAll(/SET subscription_status = 'expired'/).map(query => query.params[0]);
+
+test('removes an expired subscriber from the group and offers the renewal', async (t) => {
+    const bot = mockBot(t);
+    const pool = expiryWith([expiredUser()]);
+
+    assert.deepEqual(await expireSubscriptions(pool), { expired: 1, failed: 0 });
+
+    assert.deepEqual(bot.banChatMember.mock.calls[0].arguments, ['-100200', 777]);
+    assert.deepEqual(bot.unbanChatMember.mock.calls[0].arguments, ['-100200', 777]);
+    const [chatId, message, options] = bot.sendMessage.mock.calls[0].arguments;
+    assert.equal(chatId, 555);
+    assert.match(message, /subscription for the Pro plan has expired/);
+    assert.equal(options.reply_markup.inline_keyboard[0][0].callback_data, 'join_vip');
+    assert.deepEqual(expiredIds(pool), [31]);
+    assert.equal(pool.released, 1);
+});
+
+test('a trial user gets the paid plans instead, and the conversion is recorded', async (t) => {
+    const bot = mockBot(t);
+    const pool = expiryWith([expiredUser({ plan_name: 'Trial', is_trial: true })]);
+
+    assert.deepEqual(await expireSubscriptions(pool), { expired: 1, failed: 0 });
+
+    assert.equal(bot.banChatMember.mock.callCount(), 1);
+    const [, message, options] = bot.sendMessage.mock.calls[0].arguments;
+    assert.match(message, /free Trial trial has ended/);
+    assert.equal(options.reply_markup.inline_keyboard[0][0].callback_data, 'select_plan_8');
+    assert.deepEqual(pool.find(/SET conversion_sent_at/).params, [31]);
+});
+
+test('looks up the group of users without a plan id by plan name', async (t) => {
+    const bot = mockBot(t);
+    const pool = expiryWith(
+        [expiredUser({ plan_id: null, telegram_group_id: null, is_trial: null })],
+        [[/WHERE plan_name = \$1 AND NOT is_archived/, [{ id: 8, telegram_group_id: '-100300', is_trial: false }]]]
+    );
+
+    await expireSubscriptions(pool);
+
+    assert.equal(bot.banChatMember.mock.calls[0].arguments[0], '-100300');
+});
+
+test('expires users even when Telegram fails or there is no group to remove them from', async (t) => {
+    const bot = mockBot(t);
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    bot.banChatMember.mock.mockImplementation(async () => { throw new Error('Bad Request: not enough rights'); });
+    const pool = expiryWith([
+        expiredUser(),
+        expiredUser({ id: 32, plan_id: null, telegram_group_id: null })
+    ]);
+
+    assert.deepEqual(await expireSubscriptions(pool), { expired: 2, failed: 1 });
+
+    assert.deepEqual(expiredIds(pool), [31, 32]);
+    assert.equal(bot.sendMessage.mock.callCount(), 0);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Decode, base32Encode, buildOtpAuthUrl, generateTotpCode, generateTotpSecret, verifyTotpCode } from '../totp.js';
+
+// The SHA-1 secret of RFC 6238 appendix B, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+// Halfway through step 60000000, so a test never straddles two steps
+const NOW = 60000000 * STEP_MS + STEP_MS / 2;
+const STEP = 60000000;
+
+const freezeClock = (t) => t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+test('base32 round-trips and rejects characters outside the alphabet', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Encode(base32Decode(secret)), secret);
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32/);
+});
+
+test('generates the RFC 6238 codes (last six digits)', () => {
+    assert.equal(generateTotpCode(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateTotpCode(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(generateTotpCode(RFC_SECRET, 2000000000 * 1000), '279037');
+});
+
+test('accepts the current code and one step of drift either way, returning its step', (t) => {
+    freezeClock(t);
+    const secret = RFC_SECRET;
+    assert.equal(verifyTotpCode(secret, generateTotpCode(secret)), STEP);
+    assert.equal(verifyTotpCode(secret, generateTotpCode(secret, NOW - STEP_MS)), STEP - 1);
+    assert.equal(verifyTotpCode(secret, generateTotpCode(secret, NOW + STEP_MS)), STEP + 1);
+});
+
+test('refuses codes further out, malformed codes and a missing secret', (t) => {
+    freezeClock(t);
+    const secret = RFC_SECRET;
+    const old = generateTotpCode(secret, NOW - 3 * STEP_MS);
+    assert.equal(verifyTotpCode(secret, old), null);
+    assert.equal(verifyTotpCode(secret, '12345'), null);
+    assert.equal(verifyTotpCode(secret, 'abcdef'), null);
+    assert.equal(verifyTotpCode(secret, undefined), null);
+    assert.equal(verifyTotpCode(null, '123456'), null);
+});
+
+test('accepts spaces inside a code', (t) => {
+    freezeClock(t);
+    const secret = RFC_SECRET;
+    const code = generateTotpCode(secret);
+    assert.equal(verifyTotpCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`), STEP);
+});
+
+test('refuses a code from the last accepted step or an earlier one', (t) => {
+    freezeClock(t);
+    const secret = RFC_SECRET;
+    const code = generateTotpCode(secret);
+    const step = verifyTotpCode(secret, code);
+
+    assert.equal(verifyTotpCode(secret, code, step), null);
+    assert.equal(verifyTotpCode(secret, generateTotpCode(secret, NOW - STEP_MS), step), null);
+    // A later code inside the window still works
+    assert.equal(verifyTotpCode(secret, generateTotpCode(secret, NOW + STEP_MS), step), step + 1);
+});
+
+test('builds the otpauth URI for authenticator apps', () => {
+    assert.equal(
+        buildOtpAuthUrl('ABC', 'alice'),
+        'otpauth://totp/NexxTrade%20Admin%3Aalice?secret=ABC&issuer=NexxTrade%20Admin&algorithm=SHA1&digits=6&period=30'
+    );
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startTrial } from '../trials.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const TRIAL_PLAN = { id: 12, plan_name: 'Trial', price: '0', is_trial: true, telegram_group_id: '-100900', duration_unit: 'days', duration_value: 3 };
+
+const trial = (fields = {}) => ({
+    plan: TRIAL_PLAN,
+    telegramHandle: '@trader',
+    chatId: 555,
+    telegramUserId: 777,
+    whatsappNumber: '+234 801 234 5678',
+    email: 'Trader@Example.com',
+    ...fields
+});
+
+function trialsWith(answers = []) {
+    return fakePool([
+        ...answers,
+        [/INSERT INTO trial_claims/, [{ id: 40 }]],
+        [/INSERT INTO users/, [{ id: 31 }]]
+    ]);
+}
+
+test('starts a three-day trial with a single-use invite link and records the claim', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-10T12:00:00Z').getTime() });
+    const bot = mockBot(t, { inviteLink: 'https://t.me/+trial' });
+    const pool = trialsWith();
+
+    const result = await startTrial(pool, trial());
+
+    assert.deepEqual(result, { status: 'started', inviteLink: 'https://t.me/+trial', subscriptionExpiration: '2026-03-13' });
+    assert.deepEqual(bot.createChatInviteLink.mock.calls[0].arguments, ['-100900', { member_limit: 1 }]);
+    // The claim is made on the normalised number and email
+    assert.deepEqual(pool.find(/INSERT INTO trial_claims/).params, [12, 777, '2348012345678', 'trader@example.com']);
+    const user = pool.find(/INSERT INTO users/).params;
+    assert.equal(user[1], 'trader@example.com');
+    assert.equal(user[5], '2026-03-13');
+    assert.deepEqual(pool.find(/UPDATE trial_claims SET user_id/).params, [31, 40]);
+    assert.ok(pool.has(/COMMIT/));
+});
+
+test('refuses a second trial for the same account, number or email', async (t) => {
+    const bot = mockBot(t);
+    const pool = trialsWith([[/FROM trial_claims/, [{ '?column?': 1 }]]]);
+
+    assert.deepEqual(await startTrial(pool, trial()), { status: 'already_used' });
+    assert.ok(pool.has(/ROLLBACK/));
+    assert.ok(!pool.has(/INSERT/));
+    assert.equal(bot.createChatInviteLink.mock.callCount(), 0);
+});
+
+test('sends subscribers to their plan instead of a trial', async (t) => {
+    mockBot(t);
+    const pool = trialsWith([[/subscription_status = 'active'/, [{ '?column?': 1 }]]]);
+    assert.deepEqual(await startTrial(pool, trial()), { status: 'subscribed' });
+    assert.equal(pool.released, 0);
+});
+
+test('a claim that loses the race to a concurrent one is already used', async (t) => {
+    mockBot(t);
+    const conflict = Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'trial_claims_telegram_user_id_key' });
+    const pool = trialsWith([[/INSERT INTO trial_claims/, conflict]]);
+
+    assert.deepEqual(await startTrial(pool, trial()), { status: 'already_used' });
+    assert.ok(pool.has(/ROLLBACK/));
+    assert.equal(pool.released, 1);
+});
+
+test('bot users without an email get a made-up one that is not claimed', async (t) => {
+    mockBot(t);
+    const pool = trialsWith();
+
+    await startTrial(pool, trial({ email: 'trader@telegram.user' }));
+
+    assert.equal(pool.find(/INSERT INTO trial_claims/).params[3], null);
+    assert.equal(pool.find(/INSERT INTO users/).params[1], 'trader@telegram.user');
+});
@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeVoucherCode, redeemVoucher } from '../vouchers.js';
+import { recalculateLegacyExpirations } from '../subscription_expiry.js';
+import { fakePool } from './helpers/fake_pool.js';
+import { mockBot } from './helpers/mock_bot.js';
+
+const NOW = new Date('2026-01-20T12:00:00Z').getTime();
+const PRO = { id: 8, plan_name: 'Pro', telegram_group_id: '-100200', duration_unit: 'months', duration_value: 1 };
+
+const voucher = (fields = {}) => ({ id: 3, code: 'NX-7KQ2-M9TD', plan_id: 8, kind: 'admin', status: 'available', expires_at: null, purchaser_chat_id: null, ...fields });
+
+// Users, vouchers and activations in memory, read and written the way the
+// redemption and the startup recalculation query them
+function databaseWith({ users = [], vouchers = [voucher()], activations = [] } = {}) {
+    const pool = fakePool([
+        [/SELECT \* FROM vouchers WHERE code/, (params) => vouchers.filter(v => v.code === params[0])],
+        [/FROM pricingplans WHERE id/, (params) => (params[0] === PRO.id ? [PRO] : [])],
+        [/SELECT \* FROM users\s+WHERE LOWER/, () => users.filter(u => u.plan_name === PRO.plan_name)],
+        [/UPDATE users\s+SET subscription_status = 'active'/, (params) => {
+            const user = users.find(u => u.id === params[6]);
+            user.subscription_status = 'active';
+            user.subscription_expiration = params[0];
+            user.registration_date = params[7] ?? user.registration_date;
+            return [];
+        }],
+        [/INSERT INTO users/, (params) => {
+            users.push({ id: 99, telegram_handle: params[2], plan_id: params[4], subscription_status: 'active', subscription_expiration: params[5], registration_date: params[6] });
+            return [{ id: 99 }];
+        }],
+        [/UPDATE vouchers SET status = 'redeemed'/, (params) => {
+            Object.assign(vouchers.find(v => v.id === params[2]), { status: 'redeemed', redeemed_by_user_id: params[0] });
+            return [];
+        }],
+        [/FROM users u\s+WHERE u.subscription_status = 'active'/, (params, sql) => users.filter(u =>
+            u.subscription_status === 'active'
+            && !activations.some(a => a.user_id === u.id)
+            && !(/FROM vouchers v WHERE v.redeemed_by_user_id = u.id/.test(sql) && vouchers.some(v => v.redeemed_by_user_id === u.id)))],
+        [/UPDATE users SET subscription_expiration/, (params) => {
+            users.find(u => u.id === params[1]).subscription_expiration = params[0];
+            return [];
+        }]
+    ]);
+    return { pool, users, vouchers };
+}
+
+// A subscriber from before activations were recorded, on a one-month plan from 1 January
+const legacySubscriber = (fields = {}) => ({
+    id: 31,
+    telegram_handle: '@trader',
+    plan_name: 'Pro',
+    plan_id: 8,
+    subscription_status: 'active',
+    subscription_expiration: '2026-02-01',
+    registration_date: '2026-01-01',
+    ...fields
+});
+
+const redeem = (pool, fields = {}) => redeemVoucher(pool, { code: 'nx-7kq2-m9td', telegramHandle: '@trader', source: 'web', ...fields });
+
+test('normalizes codes to upper case without spaces', () => {
+    assert.equal(normalizeVoucherCode(' nx-7kq2 -m9td '), 'NX-7KQ2-M9TD');
+});
+
+test('refuses unknown, unpaid, void, used and expired vouchers', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    mockBot(t);
+
+    assert.equal((await redeem(databaseWith({ vouchers: [] }).pool)).status, 'not_found');
+    assert.equal((await redeem(databaseWith({ vouchers: [voucher({ status: 'pending' })] }).pool)).status, 'not_found');
+    assert.equal((await redeem(databaseWith({ vouchers: [voucher({ status: 'void' })] }).pool)).status, 'not_found');
+    assert.equal((await redeem(databaseWith({ vouchers: [voucher({ status: 'redeemed' })] }).pool)).status, 'already_redeemed');
+    assert.equal((await redeem(databaseWith({ vouchers: [voucher({ expires_at: '2026-01-19T00:00:00Z' })] }).pool)).status, 'expired');
+});
+
+test('a new subscriber is activated from today with an invite link', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const bot = mockBot(t, { inviteLink: 'https://t.me/+voucher' });
+    const { pool, users, vouchers } = databaseWith();
+
+    const result = await redeem(pool);
+
+    assert.deepEqual(result, { status: 'redeemed', planName: 'Pro', subscriptionExpiration: '2026-02-20', inviteLink: 'https://t.me/+voucher', extended: false });
+    assert.deepEqual(bot.createChatInviteLink.mock.calls[0].arguments, ['-100200', { member_limit: 1 }]);
+    assert.equal(users[0].registration_date, '2026-01-20');
+    assert.equal(vouchers[0].redeemed_by_user_id, 99);
+});
+
+test('a voucher extension survives the startup recalculation of old subscriptions', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const bot = mockBot(t);
+    const { pool, users } = databaseWith({ users: [legacySubscriber()] });
+
+    const result = await redeem(pool);
+    assert.equal(result.extended, true);
+    assert.equal(result.subscriptionExpiration, '2026-03-01');
+    assert.equal(bot.createChatInviteLink.mock.callCount(), 0);
+
+    // Without the redemption the recalculation would put it back to 1 February
+    assert.equal(await recalculateLegacyExpirations(pool), 0);
+    assert.equal(users[0].subscription_expiration, '2026-03-01');
+});
+
+test('a lapsed subscriber who redeems starts over today, and the recalculation leaves it alone', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    mockBot(t);
+    const { pool, users } = databaseWith({
+        users: [legacySubscriber({ subscription_status: 'expired', subscription_expiration: '2025-07-01', registration_date: '2025-06-01' })]
+    });
+
+    const result = await redeem(pool);
+    assert.equal(result.extended, false);
+    assert.equal(users[0].subscription_status, 'active');
+    assert.equal(users[0].subscription_expiration, '2026-02-20');
+    assert.equal(users[0].registration_date, '2026-01-20');
+
+    await recalculateLegacyExpirations(pool);
+    assert.equal(users[0].subscription_expiration, '2026-02-20');
+});
+
+test('the recalculation still dates old subscriptions nothing else has dated', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const { pool, users } = databaseWith({
+        users: [legacySubscriber({ subscription_expiration: '2026-04-01' }), legacySubscriber({ id: 32, subscription_expiration: '2026-04-01' })],
+        activations: [{ user_id: 32 }]
+    });
+
+    assert.equal(await recalculateLegacyExpirations(pool), 1);
+    assert.equal(users[0].subscription_expiration, '2026-02-01');
+    assert.equal(users[1].subscription_expiration, '2026-04-01');
+});
@@ -0,0 +1,115 @@
+// totp.js
+// Time-based one-time passwords (RFC 6238) for admin two-factor authentication.
+// Compatible with Google Authenticator, Authy, 1Password and similar apps
+// (SHA-1, 6 digits, 30 second steps).
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+export function base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in TOTP secret.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random secret (160 bits, base32 encoded).
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the code for a given secret at a given time.
+ * @param {string} secret - Base32 secret.
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch.
+ * @returns {string} Zero-padded code.
+ */
+export function generateTotpCode(secret, timestamp = Date.now()) {
+    const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a user-supplied code, allowing one step of clock drift either way.
+ * Steps up to and including lastUsedStep are refused, so a code that was
+ * already accepted cannot be replayed while it is still inside the window.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code typed by the user.
+ * @param {number|null} [lastUsedStep=null] - The step of the last accepted code.
+ * @returns {number|null} The time step the code belongs to, or null.
+ */
+export function verifyTotpCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!secret || !/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const drift of [-1, 0, 1]) {
+        const step = currentStep + drift;
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = generateTotpCode(secret, step * TOTP_STEP_SECONDS * 1000);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from the QR code.
+ * @param {string} secret - Base32 secret.
+ * @param {string} accountName - Usually the admin username.
+ * @param {string} [issuer='NexxTrade Admin']
+ * @returns {string}
+ */
+export function buildOtpAuthUrl(secret, accountName, issuer = 'NexxTrade Admin') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
@@ -0,0 +1,130 @@
+// trials.js
+// Free trials of the VIP group, started from the bot. A trial plan is a normal
+// pricing plan with is_trial set and a price of 0: the user gets an active
+// users row and a single-use invite link without any payment, and the daily
+// expiry job removes them from the group like any other subscriber. When it
+// does, the user gets a conversion message offering the paid plans instead of
+// the usual renewal prompt.
+//
+// One trial per person: trial_claims is checked by Telegram account, WhatsApp
+// number and email (see migrate_trials.sql).
+
+import crypto from 'crypto';
+import { bot } from './telegram_bot.js';
+import { addPlanDuration } from './plan_durations.js';
+
+// Bot users get made-up emails; those say nothing about the person
+const SYNTHETIC_EMAIL = /@telegram\.user$/i;
+
+const normalizeWhatsapp = (number) => (number ? String(number).replace(/\D/g, '') : '') || null;
+const normalizeEmail = (email) => (email && !SYNTHETIC_EMAIL.test(email) ? email.trim().toLowerCase() : null);
+
+/**
+ * Starts a trial: records the claim, creates the active users row and the
+ * invite link, all or nothing.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} trial
+ * @param {object} trial.plan - Row from pricingplans with is_trial set.
+ * @param {string} trial.telegramHandle
+ * @param {string|number} trial.chatId
+ * @param {string|number} trial.telegramUserId
+ * @param {string} trial.whatsappNumber
+ * @param {string} [trial.email]
+ * @returns {Promise<{status: 'started'|'already_used'|'subscribed', inviteLink?: string, subscriptionExpiration?: string}>}
+ *          'subscribed' when the user already has an active subscription.
+ */
+export async function startTrial(pool, { plan, telegramHandle, chatId, telegramUserId, whatsappNumber, email }) {
+    const whatsapp = normalizeWhatsapp(whatsappNumber);
+    const claimEmail = normalizeEmail(email);
+
+    const active = await pool.query(
+        `SELECT 1 FROM users WHERE telegram_user_id = $1 AND subscription_status = 'active' AND subscription_expiration > NOW() LIMIT 1`,
+        [telegramUserId]
+    );
+    if (active.rows.length > 0) return { status: 'subscribed' };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const previous = await client.query(
+            `SELECT 1 FROM trial_claims
+             WHERE telegram_user_id = $1 OR whatsapp_number = $2 OR email = $3
+             LIMIT 1`,
+            [telegramUserId, whatsapp, claimEmail]
+        );
+        const existingUser = await client.query('SELECT 1 FROM users WHERE telegram_handle = $1 AND plan_name = $2', [telegramHandle, plan.plan_name]);
+        if (previous.rows.length > 0 || existingUser.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return { status: 'already_used' };
+        }
+
+        const claim = await client.query(
+            `INSERT INTO trial_claims (plan_id, telegram_user_id, whatsapp_number, email)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [plan.id, telegramUserId, whatsapp, claimEmail]
+        );
+
+        let userEmail = claimEmail || `${telegramHandle.replace('@', '')}@telegram.user`;
+        const emailConflict = await client.query('SELECT id FROM users WHERE email = $1', [userEmail]);
+        if (emailConflict.rows.length > 0) {
+            userEmail = `${telegramHandle.replace('@', '')}.${crypto.randomBytes(3).toString('hex')}@telegram.user`;
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        const subscriptionExpiration = addPlanDuration(today, plan);
+        const invite = await bot.createChatInviteLink(plan.telegram_group_id, { member_limit: 1 });
+
+        const { rows } = await client.query(
+            `INSERT INTO users (full_name, email, telegram_handle, plan_name, plan_id, subscription_status, subscription_expiration, registration_date,
+                                order_id, telegram_chat_id, telegram_user_id, whatsapp_number, registration_source, telegram_invite_token)
+             VALUES ($1, $2, $3, $4, $5, 'active', $6, $7, $8, $9, $10, $11, 'bot', $12)
+             RETURNING id`,
+            [
+                `User ${telegramHandle}`, userEmail, telegramHandle, plan.plan_name, plan.id, subscriptionExpiration, today,
+                `nexxtrade-trial-${telegramHandle.replace('@', '')}-${Date.now()}`, chatId, telegramUserId, whatsappNumber, invite.invite_link
+            ]
+        );
+        await client.query('UPDATE trial_claims SET user_id = $1 WHERE id = $2', [rows[0].id, claim.rows[0].id]);
+
+        await client.query('COMMIT');
+        console.log(`Trial: started ${plan.plan_name} for ${telegramHandle} until ${subscriptionExpiration}.`);
+        return { status: 'started', inviteLink: invite.invite_link, subscriptionExpiration };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        // A concurrent request claimed the same account, number or email first
+        if (err.code === '23505' && err.constraint && err.constraint.startsWith('trial_claims_')) {
+            return { status: 'already_used' };
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Tells a user whose trial just ended which paid plans they can join, and
+ * records that the message was sent. Called by the expiry job after removing
+ * them from the group.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} user - Expired users row with id, telegram_handle, telegram_chat_id and plan_name.
+ */
+export async function sendTrialConversionMessage(pool, user) {
+    const { rows: plans } = await pool.query(
+        'SELECT id, plan_name, price, term FROM pricingplans WHERE NOT is_archived AND NOT is_trial ORDER BY price ASC'
+    );
+
+    const message = `Hi ${user.telegram_handle}, your free ${user.plan_name} trial has ended and you have been removed from the VIP group.`
+        + `\n\nEnjoyed the signals? Pick a plan below to get straight back in.`;
+    const inlineKeyboard = plans.map(plan => ([{
+        text: `${plan.plan_name} - $${plan.price} ${plan.term}`,
+        callback_data: `select_plan_${plan.id}`
+    }]));
+    inlineKeyboard.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+    await bot.sendMessage(user.telegram_chat_id, message, { reply_markup: { inline_keyboard: inlineKeyboard } });
+    await pool.query('UPDATE trial_claims SET conversion_sent_at = NOW() WHERE user_id = $1', [user.id]);
+}
@@ -0,0 +1,284 @@
+// vouchers.js
+// Gift subscriptions and vouchers. A voucher is a code worth one term of a plan
+// version, redeemed once by whoever enters it: in the bot with /redeem CODE or
+// on the /join page.
+//
+// Gift vouchers are bought through a normal checkout with gift set. The payer
+// gets no subscription; createGiftVoucher() records a pending voucher for the
+// order and fulfillGiftVoucher() makes it available once the payment completes
+// (see payment_outcomes.js). Admin vouchers are generated in batches, e.g. for
+// giveaways, and are available straight away.
+
+import crypto from 'crypto';
+import { bot, userRegistrationState } from './telegram_bot.js';
+import { addPlanDuration } from './plan_durations.js';
+import { getPlanById } from './plan_catalog.js';
+import { isRenewal } from './subscription_activation.js';
+import { publishPaymentUpdate } from './payment_events.js';
+import { recordCouponRedemption, releaseCouponRedemption } from './coupons.js';
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * A new random voucher code, e.g. NX-7KQ2-M9TD.
+ * @returns {string}
+ */
+export function generateVoucherCode() {
+    const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    return `NX-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * How a code is stored: upper case, without spaces.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeVoucherCode(code) {
+    return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Records the voucher a gift checkout pays for. It stays pending, and cannot be
+ * redeemed, until fulfillGiftVoucher() is called for the order.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} gift
+ * @param {object} gift.plan - Row from pricingplans being bought.
+ * @param {string} gift.orderId
+ * @param {object} gift.purchaser - { telegramHandle, chatId, email }
+ * @returns {Promise<object>} The new vouchers row.
+ */
+export async function createGiftVoucher(pool, { plan, orderId, purchaser }) {
+    const { rows } = await pool.query(
+        `INSERT INTO vouchers (code, plan_id, kind, status, order_id, purchaser_telegram_handle, purchaser_chat_id, purchaser_email)
+         VALUES ($1, $2, 'gift', 'pending', $3, $4, $5, $6)
+         RETURNING *`,
+        [generateVoucherCode(), plan.id, orderId, purchaser.telegramHandle || null, purchaser.chatId ? String(purchaser.chatId) : null, purchaser.email || null]
+    );
+    return rows[0];
+}
+
+/**
+ * Generates admin vouchers for a plan, available straight away.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} batch
+ * @param {object} batch.plan - Row from pricingplans.
+ * @param {number} batch.quantity - 1 to 500.
+ * @param {string} [batch.batchLabel] - Free text to find the batch again, e.g. 'Twitter giveaway'.
+ * @param {string|Date} [batch.expiresAt] - Last moment the vouchers can be redeemed.
+ * @param {number} [batch.adminId]
+ * @returns {Promise<object[]>} The new vouchers rows.
+ */
+export async function createVoucherBatch(pool, { plan, quantity, batchLabel = null, expiresAt = null, adminId = null }) {
+    const count = Math.min(MAX_BATCH_SIZE, Math.max(1, parseInt(quantity, 10) || 0));
+    const vouchers = [];
+    // A clash with an existing code is just skipped and drawn again
+    while (vouchers.length < count) {
+        const { rows } = await pool.query(
+            `INSERT INTO vouchers (code, plan_id, kind, status, batch_label, expires_at, created_by_admin_id)
+             VALUES ($1, $2, 'admin', 'available', $3, $4, $5)
+             ON CONFLICT (code) DO NOTHING
+             RETURNING *`,
+            [generateVoucherCode(), plan.id, batchLabel, expiresAt, adminId]
+        );
+        if (rows.length > 0) vouchers.push(rows[0]);
+    }
+    return vouchers;
+}
+
+// Bot buyers get the code in the chat they paid from
+async function sendGiftVoucher(pool, voucher) {
+    const state = userRegistrationState[voucher.purchaser_chat_id];
+    if (state && state.orderId === voucher.order_id) delete userRegistrationState[voucher.purchaser_chat_id];
+
+    await bot.sendMessage(
+        voucher.purchaser_chat_id,
+        `🎁 Payment confirmed! Here is your gift voucher:\n\n\`${voucher.code}\`\n\n`
+            + `Pass it on: the recipient sends \`/redeem ${voucher.code}\` to this bot, or enters it on our website, to get the plan and their invite link. The code works once.`,
+        { parse_mode: 'Markdown' }
+    );
+    await pool.query('UPDATE vouchers SET delivered_at = NOW() WHERE id = $1', [voucher.id]);
+}
+
+/**
+ * Makes the voucher of a paid gift checkout redeemable and sends the code to a
+ * bot buyer. Safe to call again for the same order.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {string} orderId
+ * @returns {Promise<{status: 'issued'|'duplicate', voucher: object}|null>} null when the order is not a gift.
+ */
+export async function fulfillGiftVoucher(pool, orderId) {
+    const { rows } = await pool.query(
+        `UPDATE vouchers SET status = 'available'
+         WHERE order_id = $1 AND status = 'pending'
+         RETURNING *`,
+        [orderId]
+    );
+    if (rows.length === 0) {
+        const existing = await pool.query('SELECT * FROM vouchers WHERE order_id = $1', [orderId]);
+        return existing.rows.length > 0 ? { status: 'duplicate', voucher: existing.rows[0] } : null;
+    }
+
+    const voucher = rows[0];
+    await recordCouponRedemption(pool, orderId);
+    console.log(`Gift voucher ${voucher.id} issued for order ${orderId}.`);
+    if (voucher.purchaser_chat_id) {
+        await sendGiftVoucher(pool, voucher)
+            .catch(err => console.error(`Failed to send gift voucher ${voucher.id} to the buyer:`, err));
+    }
+    publishPaymentUpdate(orderId, 'voucher_issued');
+    return { status: 'issued', voucher };
+}
+
+/**
+ * Voids the voucher of a refunded gift checkout, unless it was already redeemed.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {string} orderId
+ * @returns {Promise<'voucher_voided'|'voucher_redeemed'|'already_voided'|null>} null when the order is not a gift.
+ */
+export async function voidGiftVoucher(pool, orderId) {
+    const { rows } = await pool.query(
+        `UPDATE vouchers v SET status = 'void'
+         FROM (SELECT id, status FROM vouchers WHERE order_id = $1 AND status IN ('pending', 'available') FOR UPDATE) previous
+         WHERE v.id = previous.id
+         RETURNING v.id, previous.status AS previous_status`,
+        [orderId]
+    );
+    if (rows.length > 0) {
+        // Only a paid (available) voucher had its coupon use counted
+        if (rows[0].previous_status === 'available') await releaseCouponRedemption(pool, orderId);
+        publishPaymentUpdate(orderId, 'voucher_voided');
+        return 'voucher_voided';
+    }
+
+    const existing = await pool.query('SELECT status FROM vouchers WHERE order_id = $1', [orderId]);
+    if (existing.rows.length === 0) return null;
+    return existing.rows[0].status === 'redeemed' ? 'voucher_redeemed' : 'already_voided';
+}
+
+/**
+ * Redeems a voucher for the person entering it. A subscriber on the same plan
+ * gets the term added to their current end date; anyone else is activated from
+ * today and gets a single-use invite link. All or nothing: the voucher is only
+ * used up if the subscription was written.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} redemption
+ * @param {string} redemption.code
+ * @param {string} redemption.telegramHandle
+ * @param {string} redemption.source - 'bot' or 'web'.
+ * @param {string|number} [redemption.chatId] - Bot only.
+ * @param {string|number} [redemption.telegramUserId] - Bot only.
+ * @param {string} [redemption.fullName]
+ * @param {string} [redemption.email]
+ * @param {string} [redemption.whatsappNumber]
+ * @returns {Promise<{status: 'redeemed'|'not_found'|'already_redeemed'|'expired', planName?: string,
+ *          subscriptionExpiration?: string, inviteLink?: string|null, extended?: boolean}>}
+ *          Pending (unpaid) and void vouchers are reported as 'not_found'.
+ */
+export async function redeemVoucher(pool, { code, telegramHandle, source, chatId = null, telegramUserId = null, fullName = null, email = null, whatsappNumber = null }) {
+    const client = await pool.connect();
+    let voucher;
+    let plan;
+    let result;
+
+    try {
+        await client.query('BEGIN');
+
+        const voucherResult = await client.query('SELECT * FROM vouchers WHERE code = $1 FOR UPDATE', [normalizeVoucherCode(code)]);
+        voucher = voucherResult.rows[0];
+        const refusal = !voucher || ['pending', 'void'].includes(voucher.status) ? 'not_found'
+            : voucher.status === 'redeemed' ? 'already_redeemed'
+                : voucher.expires_at && new Date(voucher.expires_at) <= new Date() ? 'expired'
+                    : null;
+        if (refusal) {
+            await client.query('ROLLBACK');
+            return { status: refusal };
+        }
+
+        plan = await getPlanById(client, voucher.plan_id);
+        if (!plan) throw new Error(`Plan ${voucher.plan_id} of voucher ${voucher.id} not found.`);
+
+        const existingResult = await client.query(
+            `SELECT * FROM users
+             WHERE LOWER(REPLACE(telegram_handle, '@', '')) = LOWER(REPLACE($1, '@', '')) AND plan_name = $2
+             ORDER BY subscription_expiration DESC NULLS LAST
+             LIMIT 1
+             FOR UPDATE`,
+            [telegramHandle.trim(), plan.plan_name]
+        );
+        const existing = existingResult.rows[0];
+        const extended = !!existing && isRenewal(existing);
+        const today = new Date().toISOString().split('T')[0];
+        const subscriptionExpiration = addPlanDuration(extended ? new Date(existing.subscription_expiration) : today, plan);
+
+        // Subscribers already in the group only need the longer term
+        let inviteLink = null;
+        if (!extended) {
+            const invite = await bot.createChatInviteLink(plan.telegram_group_id, { member_limit: 1 });
+            inviteLink = invite.invite_link;
+        }
+
+        let userId;
+        if (existing) {
+            // The order_id is left alone, so a checkout still open for this plan stacks on top when it is paid.
+            // A lapsed row starts over today, like a new one.
+            await client.query(
+                `UPDATE users
+                 SET subscription_status = 'active', subscription_expiration = $1, plan_id = $2,
+                     telegram_invite_token = COALESCE($3, telegram_invite_token),
+                     telegram_chat_id = COALESCE($4, telegram_chat_id),
+                     telegram_user_id = COALESCE($5, telegram_user_id),
+                     whatsapp_number = COALESCE($6, whatsapp_number),
+                     registration_date = COALESCE($8, registration_date)
+                 WHERE id = $7`,
+                [subscriptionExpiration, plan.id, inviteLink, chatId, telegramUserId, whatsappNumber, existing.id, extended ? null : today]
+            );
+            userId = existing.id;
+        } else {
+            const handle = telegramHandle.replace('@', '');
+            let userEmail = email || `${handle}@telegram.user`;
+            const emailConflict = await client.query('SELECT id FROM users WHERE email = $1', [userEmail]);
+            if (emailConflict.rows.length > 0) {
+                userEmail = `${handle}.${crypto.randomBytes(3).toString('hex')}@telegram.user`;
+            }
+            const { rows } = await client.query(
+                `INSERT INTO users (full_name, email, telegram_handle, plan_name, plan_id, subscription_status, subscription_expiration, registration_date,
+                                    order_id, telegram_chat_id, telegram_user_id, whatsapp_number, registration_source, telegram_invite_token)
+                 VALUES ($1, $2, $3, $4, $5, 'active', $6, $7, $8, $9, $10, $11, $12, $13)
+                 RETURNING id`,
+                [
+                    fullName || `User ${telegramHandle}`, userEmail, telegramHandle, plan.plan_name, plan.id, subscriptionExpiration, today,
+                    `nexxtrade-voucher-${voucher.code}`, chatId, telegramUserId, whatsappNumber, source, inviteLink
+                ]
+            );
+            userId = rows[0].id;
+        }
+
+        await client.query(
+            `UPDATE vouchers SET status = 'redeemed', redeemed_by_user_id = $1, redeemed_by_telegram_handle = $2, redeemed_at = NOW()
+             WHERE id = $3`,
+            [userId, telegramHandle, voucher.id]
+        );
+
+        await client.query('COMMIT');
+        console.log(`Voucher ${voucher.id}: ${extended ? 'extended' : 'activated'} ${plan.plan_name} for ${telegramHandle} until ${subscriptionExpiration}.`);
+        result = { status: 'redeemed', planName: plan.plan_name, subscriptionExpiration, inviteLink, extended };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    if (voucher.kind === 'gift' && voucher.purchaser_chat_id) {
+        bot.sendMessage(voucher.purchaser_chat_id, `🎉 Your ${plan.plan_name} gift voucher was just redeemed by ${telegramHandle}.`)
+            .catch(err => console.error(`Failed to tell the buyer of voucher ${voucher.id} about the redemption:`, err.message));
+    }
+    return result;
+}